@@ -0,0 +1,300 @@
+#!/usr/bin/env node
+const path = require('path');
+const fs = require('fs').promises;
+const { parseArgs } = require('util');
+
+// robot-gen: generate robots, list and export the gallery and test the models from
+// the command line, e.g. in build scripts. It loads server.js without listening and
+// calls the same functions as the API routes, so results, metadata, costs and
+// budgets are exactly those of the web UI.
+//
+// The pipeline logs its progress with console.log; that goes to stderr with
+// --verbose and is dropped otherwise, so stdout only carries the command's output.
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+const USAGE = `Usage: robot-gen <command> [options]
+
+Commands:
+  generate <concept...>      Generate one or more concepts (or --file)
+  gallery [list]             List generated images, newest first
+  gallery export <dir>       Copy the gallery and a gallery.json manifest to <dir>
+  test-model                 Check that a model can generate text and images
+  models                     List the available models
+
+Generate options:
+  -f, --file <path>          Concept list: CSV, JSON or one concept per line
+  -m, --model <id>           Model id, or "both" to compare (default: openai)
+      --models <a,b>         Models compared with --model both
+      --fast                 Skip research and style analysis
+      --force                Generate a new version even if one exists
+      --transparent          Also save transparent PNG/WebP copies
+      --seed <n>             Seed for reference selection and the providers
+      --prompt-version <v>   Prompt template version
+      --parent <name>        Derive every robot from this library robot
+      --style-profile <name> Use a saved style profile
+      --budget <usd>         Stop starting generations once this is spent
+      --report <path>        Write the run report (.csv or .json)
+
+Gallery export options:
+      --size <px>            Export renditions of this size
+      --format <format>      Export renditions in this format (png, webp, avif, jpeg)
+
+Common options:
+      --json                 Print JSON instead of text
+  -v, --verbose              Show the pipeline's log on stderr
+  -h, --help                 Show this help`;
+
+const OPTIONS = {
+    file: { type: 'string', short: 'f' },
+    model: { type: 'string', short: 'm' },
+    models: { type: 'string' },
+    fast: { type: 'boolean' },
+    force: { type: 'boolean' },
+    transparent: { type: 'boolean' },
+    seed: { type: 'string' },
+    'prompt-version': { type: 'string' },
+    parent: { type: 'string' },
+    'style-profile': { type: 'string' },
+    budget: { type: 'string' },
+    report: { type: 'string' },
+    size: { type: 'string' },
+    format: { type: 'string' },
+    json: { type: 'boolean' },
+    verbose: { type: 'boolean', short: 'v' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+class UsageError extends Error {}
+
+const print = console.log.bind(console);
+
+function printJson(value) {
+    print(JSON.stringify(value, null, 2));
+}
+
+async function generate(concepts, options) {
+    const { DEFAULT_PROVIDER } = require('../providers');
+    const { defaultSimilarityRetries } = require('../lib/similarity');
+    const { parseConceptList, runBatch, formatReportCsv } = require('../lib/batch');
+    const { validateGenerationRequest, runGeneration, ensureGeneratedDir } = require('../server');
+    const { refreshLibrary, watchLibrary, unwatchLibrary } = require('../lib/library');
+
+    if (options.file) {
+        const file = path.resolve(options.file);
+        concepts = [...concepts, ...parseConceptList(await fs.readFile(file, 'utf8'), file)];
+    }
+    // Drop blanks and duplicates the same way as a concept list
+    concepts = parseConceptList(JSON.stringify(concepts), 'concepts.json');
+    if (concepts.length === 0) {
+        throw new UsageError('Name at least one concept or pass --file');
+    }
+
+    const budget = options.budget === undefined ? null : Number(options.budget);
+    if (budget !== null && !(budget > 0)) {
+        throw new UsageError('--budget must be a positive number of dollars');
+    }
+
+    const params = {
+        model: options.model || DEFAULT_PROVIDER,
+        models: options.models ? options.models.split(',').filter(Boolean) : undefined,
+        extensiveThinking: !options.fast,
+        force: Boolean(options.force),
+        removeBackground: Boolean(options.transparent),
+        similarityRetries: defaultSimilarityRetries(),
+        seed: options.seed === undefined ? null : Number(options.seed),
+        styleProfile: options['style-profile'] || null,
+        parentRobot: options.parent || null,
+        promptVersion: options['prompt-version'] || null
+    };
+    const validationError = validateGenerationRequest({ prompt: concepts[0], ...params });
+    if (validationError) {
+        throw new UsageError(validationError);
+    }
+
+    await ensureGeneratedDir();
+    await refreshLibrary();
+    // Later concepts see the robots made by earlier ones
+    watchLibrary();
+    let report;
+    try {
+        report = await runBatch({
+            concepts,
+            params,
+            budget,
+            generate: runGeneration,
+            report: (phase, message) => console.error(message)
+        });
+    } finally {
+        unwatchLibrary();
+    }
+
+    if (options.report) {
+        const file = path.resolve(options.report);
+        await fs.writeFile(file, path.extname(file).toLowerCase() === '.json' ? JSON.stringify(report, null, 2) : formatReportCsv(report));
+        console.error(`Report written to ${file}`);
+    }
+
+    if (options.json) {
+        printJson(report);
+    } else {
+        for (const item of report.items) {
+            const detail = item.error || item.filenames.join(' ');
+            print(`${item.status.padEnd(14)} ${item.concept.padEnd(24)} ${`$${item.cost.toFixed(4)}`.padStart(9)}  ${detail}`);
+        }
+        const { totals } = report;
+        print(`${totals.generated} generated, ${totals.skipped} existing, ${totals.skippedBudget} over budget, ${totals.failed} failed - $${report.spent.toFixed(4)} spent`);
+    }
+    return report.totals.failed > 0 ? 1 : 0;
+}
+
+async function listGalleryCommand(options) {
+    const { listGallery } = require('../server');
+    const images = await listGallery();
+
+    if (options.json) {
+        printJson(images);
+        return 0;
+    }
+    for (const image of images) {
+        const metadata = image.metadata || {};
+        print([
+            image.canonical ? '★' : ' ',
+            image.filename.padEnd(40),
+            (metadata.model || '-').padEnd(8),
+            (metadata.cost || '-').padStart(9),
+            metadata.createdAt || ''
+        ].join(' '));
+    }
+    print(`${images.length} images`);
+    return 0;
+}
+
+// Copy every gallery image (or its rendition at --size/--format) into dir, with a
+// gallery.json manifest listing each exported file and its metadata
+async function exportGallery(dir, options) {
+    if (!dir) {
+        throw new UsageError('gallery export needs a target directory');
+    }
+    const { listGallery } = require('../server');
+    const { getRendition } = require('../lib/renditions');
+
+    const target = path.resolve(dir);
+    const images = await listGallery();
+    const renditions = options.size !== undefined || options.format !== undefined;
+    await fs.mkdir(target, { recursive: true });
+
+    const manifest = [];
+    for (const image of images) {
+        const source = renditions
+            ? await getRendition(image.filename, options.size, options.format || 'png')
+            : path.join(ROOT_DIR, 'Generated', image.filename);
+        const file = `${path.basename(image.filename, path.extname(image.filename))}${path.extname(source)}`;
+        await fs.copyFile(source, path.join(target, file));
+        manifest.push({ file, ...image });
+    }
+    await fs.writeFile(path.join(target, 'gallery.json'), JSON.stringify(manifest, null, 2));
+
+    if (options.json) {
+        printJson({ directory: target, files: manifest.map(entry => entry.file) });
+    } else {
+        print(`Exported ${manifest.length} images to ${target}`);
+    }
+    return 0;
+}
+
+async function testModelCommand(options) {
+    const { DEFAULT_PROVIDER, hasProvider, getProvider } = require('../providers');
+    const { testModel } = require('../server');
+    const model = options.model || DEFAULT_PROVIDER;
+    if (!hasProvider(model)) {
+        throw new UsageError(`Unknown model: ${model}`);
+    }
+
+    let result;
+    try {
+        result = await testModel(model);
+    } catch (error) {
+        result = { success: false, error: `${getProvider(model).name} test failed: ${error.message}` };
+    }
+
+    if (options.json) {
+        printJson(result);
+    } else {
+        print(result.success ? `${model}: ${result.message} (${result.cost})` : result.error);
+    }
+    return result.success ? 0 : 1;
+}
+
+function listModels(options) {
+    const { DEFAULT_PROVIDER, COMPARE_MODEL, listProviders, describeProvider } = require('../providers');
+    const providers = listProviders().map(describeProvider);
+
+    if (options.json) {
+        printJson({ defaultModel: DEFAULT_PROVIDER, compareModel: COMPARE_MODEL, providers });
+        return 0;
+    }
+    for (const provider of providers) {
+        const notes = [
+            provider.id === DEFAULT_PROVIDER && 'default',
+            provider.comparable && `compared by --model ${COMPARE_MODEL}`,
+            provider.offline && 'offline'
+        ].filter(Boolean);
+        print(`${provider.id.padEnd(8)} ${provider.name}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`);
+    }
+    return 0;
+}
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    const { values: options, positionals } = parsed;
+    const [command, ...args] = positionals;
+
+    if (options.help || !command || command === 'help') {
+        print(USAGE);
+        return 0;
+    }
+
+    // Loading the providers and server.js already logs, so this comes first
+    console.log = options.verbose ? console.error : () => {};
+    // Read .env from the project, wherever the command is run from
+    require('dotenv').config({ path: path.join(ROOT_DIR, '.env') });
+
+    switch (command) {
+        case 'generate':
+            return generate(args, options);
+        case 'gallery':
+            if (args[0] === 'export') {
+                return exportGallery(args[1], options);
+            }
+            if (args.length > 0 && args[0] !== 'list') {
+                throw new UsageError(`Unknown gallery command: ${args[0]}`);
+            }
+            return listGalleryCommand(options);
+        case 'test-model':
+            return testModelCommand(options);
+        case 'models':
+            return listModels(options);
+        default:
+            throw new UsageError(`Unknown command: ${command}`);
+    }
+}
+
+main(process.argv.slice(2))
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        if (error instanceof UsageError) {
+            console.error(`robot-gen: ${error.message}\nRun robot-gen --help for usage.`);
+            process.exitCode = 2;
+        } else {
+            console.error(`robot-gen: ${error.message}`);
+            process.exitCode = 1;
+        }
+    });
@@ -0,0 +1,344 @@
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Arena: generate one concept with several configurations (model, prompt template
+// version, reference set, extensive thinking), show the images anonymised as
+// A, B, C... in a random order and record pairwise votes between them. Votes add up
+// to win rates per configuration, or per model, template version and so on.
+//
+// Matches are stored in Data/arena.json. A match's configurations stay hidden until
+// every pair of its images has a vote, so earlier votes can't be swayed by them.
+// Until then its images are kept in Data/arena/ rather than Generated/, so neither
+// the gallery nor the cache give them away or hand them to later generations as
+// base robots; a revealed match publishes them to Generated/ as new versions.
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DATA_DIR = path.join(ROOT_DIR, 'Data');
+const ARENA_FILE = path.join(DATA_DIR, 'arena.json');
+const ARENA_IMAGES_DIR = path.join(DATA_DIR, 'arena');
+
+const MIN_CONFIGURATIONS = 2;
+const MAX_CONFIGURATIONS = 6;
+const SLOTS = 'ABCDEF';
+
+// Ways to group votes for win rates: each names the configuration fields compared
+const GROUPINGS = {
+    configuration: ['model', 'promptVersion', 'references', 'extensiveThinking'],
+    model: ['model'],
+    promptVersion: ['promptVersion'],
+    references: ['references'],
+    extensiveThinking: ['extensiveThinking']
+};
+
+class ArenaError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'ArenaError';
+        this.status = status;
+    }
+}
+
+async function readMatches() {
+    try {
+        return JSON.parse(await fs.readFile(ARENA_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+    }
+}
+
+// Votes can arrive together, so updates are queued to avoid losing one
+let arenaUpdates = Promise.resolve();
+
+function updateMatches(change) {
+    arenaUpdates = arenaUpdates.catch(() => {}).then(async () => {
+        const matches = await readMatches();
+        const result = await change(matches);
+        await fs.mkdir(DATA_DIR, { recursive: true });
+        await fs.writeFile(ARENA_FILE, JSON.stringify(matches, null, 2));
+        return result;
+    });
+    return arenaUpdates;
+}
+
+// A configuration with every field set: references is null for the automatic choice
+function normalizeConfiguration({ model, promptVersion = null, references = null, extensiveThinking = true }) {
+    return {
+        model,
+        promptVersion: promptVersion || null,
+        references: references && references.length > 0 ? [...references].sort() : null,
+        extensiveThinking
+    };
+}
+
+// Short readable label, e.g. "google · prompts v1 · auto references · fast"
+function describeConfiguration(config, fields = GROUPINGS.configuration) {
+    const parts = {
+        model: config.model,
+        promptVersion: `prompts ${config.promptVersion || 'default'}`,
+        references: config.references ? config.references.map(reference => path.basename(reference)).join(' + ') : 'auto references',
+        extensiveThinking: config.extensiveThinking ? 'thinking' : 'fast'
+    };
+    return fields.map(field => parts[field]).join(' · ');
+}
+
+function groupKey(config, fields) {
+    return JSON.stringify(fields.map(field => config[field]));
+}
+
+function shuffle(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+// Slots that have an image, whether or not it's published yet
+function imageSlots(match) {
+    return match.entries.filter(entry => entry.image).map(entry => entry.slot);
+}
+
+// Pairs of slots with images, e.g. [['A', 'B'], ['A', 'C'], ['B', 'C']]
+function matchPairs(match) {
+    const slots = imageSlots(match);
+    return slots.flatMap((slot, i) => slots.slice(i + 1).map(other => [slot, other]));
+}
+
+function pairKey(a, b) {
+    return [a, b].sort().join('-');
+}
+
+function isComplete(match) {
+    const voted = new Set(match.votes.map(vote => pairKey(vote.winner, vote.loser)));
+    const pairs = matchPairs(match);
+    return pairs.length > 0 && pairs.every(([a, b]) => voted.has(pairKey(a, b)));
+}
+
+// Public view of a match. Configurations, files and costs are only included once
+// every pair has a vote, or when reveal is set. filename is the image's name in
+// Generated/ and stays null until the match is published.
+function describeMatch(match, { reveal = false } = {}) {
+    const complete = isComplete(match);
+    const revealed = complete || reveal;
+    return {
+        id: match.id,
+        concept: match.concept,
+        seed: match.seed,
+        createdAt: match.createdAt,
+        complete,
+        revealed,
+        entries: match.entries.map(entry => ({
+            slot: entry.slot,
+            url: entry.image ? `/api/arena/${match.id}/images/${entry.slot}` : null,
+            error: entry.error,
+            ...(revealed ? {
+                configuration: entry.configuration,
+                label: describeConfiguration(entry.configuration),
+                filename: entry.filename,
+                cost: entry.cost
+            } : {})
+        })),
+        pairs: matchPairs(match),
+        votes: match.votes
+    };
+}
+
+// Generate the concept with every configuration and store the match.
+// pickReferences() chooses the automatic references once, before any image exists,
+// so every configuration starts from the same ones. generate(configuration,
+// references) then runs one configuration at a time and resolves with the
+// imageBuffer, costBreakdown, promptTemplates and the metadata record to publish
+// the image with later. Progress is reported per image only: the pipeline's own
+// phases (e.g. no research in fast mode) would give the configurations away.
+async function runArenaMatch({ prompt, configurations, seed, pickReferences, generate, report }) {
+    const match = {
+        id: crypto.randomUUID(),
+        concept: prompt,
+        seed,
+        createdAt: new Date().toISOString(),
+        entries: shuffle(configurations.map(normalizeConfiguration)).map((configuration, i) => ({
+            slot: SLOTS[i],
+            configuration,
+            image: null,
+            record: null,
+            filename: null,
+            cost: 0,
+            error: null
+        })),
+        votes: []
+    };
+
+    report('finding_references', 'Finding related robots and reference images...');
+    const references = await pickReferences();
+
+    for (const entry of match.entries) {
+        report('generating', `Generating image ${entry.slot} of ${match.entries.length}...`);
+        try {
+            const result = await generate(entry.configuration, references);
+            entry.image = await saveArenaImage(match.id, entry.slot, result.imageBuffer);
+            entry.record = result.record;
+            entry.cost = result.costBreakdown ? result.costBreakdown.total : 0;
+            // Record the template version the default resolved to, so votes stay comparable
+            entry.configuration.promptVersion = result.promptTemplates?.version || entry.configuration.promptVersion;
+            report('generating', `Image ${entry.slot} done`);
+        } catch (error) {
+            console.error(`Arena image ${entry.slot} failed:`, error);
+            entry.error = error.message;
+            report('generating', `Image ${entry.slot} failed`);
+        }
+    }
+
+    if (imageSlots(match).length < MIN_CONFIGURATIONS) {
+        throw new ArenaError(`Fewer than ${MIN_CONFIGURATIONS} images were generated: ${match.entries.map(entry => entry.error).filter(Boolean).join('; ')}`, 502);
+    }
+    await updateMatches(matches => {
+        matches[match.id] = match;
+    });
+    console.log(`Arena match ${match.id} for ${prompt}: ${match.entries.length} configurations`);
+    return describeMatch(match);
+}
+
+// Keep an unpublished image as Data/arena/<match id>/<slot>.png, returned relative
+// to the project like metadata paths
+async function saveArenaImage(id, slot, imageBuffer) {
+    const dir = path.join(ARENA_IMAGES_DIR, id);
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${slot}.png`);
+    await sharp(imageBuffer).png().toFile(file);
+    return path.relative(ROOT_DIR, file);
+}
+
+function arenaImagePath(entry) {
+    return path.join(ROOT_DIR, entry.image);
+}
+
+async function findMatch(id) {
+    const matches = await readMatches();
+    if (!Object.hasOwn(matches, id)) {
+        throw new ArenaError(`Unknown arena match: ${id}`, 404);
+    }
+    return matches[id];
+}
+
+// Newest first
+async function listMatches() {
+    const matches = await readMatches();
+    return Object.values(matches)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(match => describeMatch(match));
+}
+
+// Record that winner's image beat loser's, or that they tie. A pair has one vote
+// per match; voting again replaces it.
+function recordVote(id, { winner, loser, tie = false }) {
+    return updateMatches(matches => {
+        if (!Object.hasOwn(matches, id)) {
+            throw new ArenaError(`Unknown arena match: ${id}`, 404);
+        }
+        const match = matches[id];
+        const slots = imageSlots(match);
+        if (!slots.includes(winner) || !slots.includes(loser) || winner === loser) {
+            throw new ArenaError(`winner and loser must be two different images of this match: ${slots.join(', ')}`, 400);
+        }
+        if (typeof tie !== 'boolean') {
+            throw new ArenaError('tie must be true or false', 400);
+        }
+
+        const key = pairKey(winner, loser);
+        match.votes = match.votes.filter(vote => pairKey(vote.winner, vote.loser) !== key);
+        match.votes.push({ winner, loser, tie, createdAt: new Date().toISOString() });
+        console.log(`Arena vote in ${id}: ${tie ? `${winner} ties ${loser}` : `${winner} beats ${loser}`}`);
+        return describeMatch(match);
+    });
+}
+
+// Publish a revealed match's images to Generated/ through publish(imageBuffer, record),
+// which resolves with the gallery filename. Images published before are skipped, so
+// this can run on every reveal; one that fails is logged and tried again next time.
+// Resolves with the revealed match.
+function publishMatch(id, publish) {
+    return updateMatches(async matches => {
+        if (!Object.hasOwn(matches, id)) {
+            throw new ArenaError(`Unknown arena match: ${id}`, 404);
+        }
+        const match = matches[id];
+        for (const entry of match.entries.filter(candidate => candidate.image && !candidate.filename)) {
+            try {
+                entry.filename = await publish(await fs.readFile(arenaImagePath(entry)), entry.record);
+                console.log(`Arena image ${entry.slot} of ${id} published as ${entry.filename}`);
+            } catch (error) {
+                console.error(`Failed to publish arena image ${entry.slot} of ${id}:`, error);
+            }
+        }
+        return describeMatch(match, { reveal: true });
+    });
+}
+
+// Win rates grouped by configuration or one of its fields. A tie counts as half a
+// win; votes between two entries of the same group say nothing about it and are
+// left out.
+async function arenaStats(by = 'configuration') {
+    const fields = GROUPINGS[by];
+    if (!fields) {
+        throw new ArenaError(`by must be one of: ${Object.keys(GROUPINGS).join(', ')}`, 400);
+    }
+
+    const groups = new Map();
+    const groupFor = config => {
+        const key = groupKey(config, fields);
+        if (!groups.has(key)) {
+            groups.set(key, {
+                label: describeConfiguration(config, fields),
+                [by]: by === 'configuration' ? config : config[by],
+                matches: 0,
+                votes: 0,
+                wins: 0,
+                losses: 0,
+                ties: 0
+            });
+        }
+        return groups.get(key);
+    };
+
+    for (const match of Object.values(await readMatches())) {
+        const configs = Object.fromEntries(match.entries.map(entry => [entry.slot, entry.configuration]));
+        new Set(match.entries.filter(entry => entry.image).map(entry => groupFor(entry.configuration))).forEach(group => group.matches++);
+        for (const vote of match.votes) {
+            const winner = groupFor(configs[vote.winner]);
+            const loser = groupFor(configs[vote.loser]);
+            if (winner === loser) continue;
+            winner.votes++;
+            loser.votes++;
+            if (vote.tie) {
+                winner.ties++;
+                loser.ties++;
+            } else {
+                winner.wins++;
+                loser.losses++;
+            }
+        }
+    }
+
+    return [...groups.values()]
+        .map(group => ({ ...group, winRate: group.votes > 0 ? Number(((group.wins + group.ties / 2) / group.votes).toFixed(3)) : null }))
+        .sort((a, b) => (b.winRate ?? -1) - (a.winRate ?? -1) || b.votes - a.votes);
+}
+
+module.exports = {
+    MIN_CONFIGURATIONS,
+    MAX_CONFIGURATIONS,
+    GROUPINGS,
+    ArenaError,
+    runArenaMatch,
+    findMatch,
+    arenaImagePath,
+    describeMatch,
+    listMatches,
+    recordVote,
+    publishMatch,
+    arenaStats
+};
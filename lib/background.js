@@ -0,0 +1,98 @@
+const sharp = require('sharp');
+
+// Local background removal for robots rendered on a plain white studio background.
+//
+// A flood fill from every border pixel clears the connected near-white area
+// (all channels >= threshold), so white details inside the robot survive. Pixels
+// along the edge of the cleared area fade out in proportion to how close to white
+// they are, and the white that bled into them is subtracted so the outline
+// doesn't glow on dark backgrounds.
+
+const DEFAULT_THRESHOLD = 235;
+const DEFAULT_FEATHER = 40;
+
+function clampByte(value) {
+    return Math.max(0, Math.min(255, Math.round(value)));
+}
+
+// Returns a PNG buffer of the input with its background made transparent
+async function removeBackground(input, { threshold = DEFAULT_THRESHOLD, feather = DEFAULT_FEATHER } = {}) {
+    const { data, info } = await sharp(input)
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    const { width, height } = info;
+    const pixelCount = width * height;
+
+    const whiteness = pixel => Math.min(data[pixel * 4], data[pixel * 4 + 1], data[pixel * 4 + 2]);
+
+    const background = new Uint8Array(pixelCount);
+    const queue = new Int32Array(pixelCount);
+    let head = 0;
+    let tail = 0;
+
+    const visit = pixel => {
+        if (!background[pixel] && whiteness(pixel) >= threshold) {
+            background[pixel] = 1;
+            queue[tail++] = pixel;
+        }
+    };
+
+    for (let x = 0; x < width; x++) {
+        visit(x);
+        visit((height - 1) * width + x);
+    }
+    for (let y = 0; y < height; y++) {
+        visit(y * width);
+        visit(y * width + width - 1);
+    }
+
+    while (head < tail) {
+        const pixel = queue[head++];
+        const x = pixel % width;
+        if (x > 0) visit(pixel - 1);
+        if (x < width - 1) visit(pixel + 1);
+        if (pixel >= width) visit(pixel - width);
+        if (pixel < pixelCount - width) visit(pixel + width);
+    }
+
+    const touchesBackground = pixel => {
+        const x = pixel % width;
+        return (x > 0 && background[pixel - 1])
+            || (x < width - 1 && background[pixel + 1])
+            || (pixel >= width && background[pixel - width])
+            || (pixel < pixelCount - width && background[pixel + width]);
+    };
+
+    let cleared = 0;
+    for (let pixel = 0; pixel < pixelCount; pixel++) {
+        const offset = pixel * 4;
+        if (background[pixel]) {
+            data[offset + 3] = 0;
+            cleared++;
+            continue;
+        }
+
+        const white = whiteness(pixel);
+        if (white < threshold - feather || !touchesBackground(pixel)) {
+            continue;
+        }
+
+        // Edge pixel: partially transparent, with the white background unmixed from its colour
+        const alpha = (threshold - white) / feather;
+        for (let channel = 0; channel < 3; channel++) {
+            data[offset + channel] = clampByte((data[offset + channel] - (1 - alpha) * 255) / alpha);
+        }
+        data[offset + 3] = clampByte(data[offset + 3] * alpha);
+    }
+
+    console.log(`Removed background: ${((cleared / pixelCount) * 100).toFixed(1)}% of pixels cleared`);
+
+    return sharp(data, { raw: { width, height, channels: 4 } })
+        .png()
+        .toBuffer();
+}
+
+module.exports = {
+    removeBackground
+};
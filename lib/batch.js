@@ -0,0 +1,206 @@
+const path = require('path');
+
+// Batch generation: parse a list of concepts, run each through the normal
+// generation pipeline one at a time, stop starting new ones once the budget
+// would be exceeded, and summarise the outcome as a downloadable report.
+
+const CONCEPT_COLUMNS = ['concept', 'prompt', 'name'];
+
+function normalizeConcept(concept) {
+    return concept.toLowerCase().replace(/[^a-z0-9]/gi, '');
+}
+
+// Split one CSV line, honouring double-quoted fields
+function parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+
+    return fields.map(value => value.trim());
+}
+
+function parseJsonList(text) {
+    const data = JSON.parse(text);
+    const items = Array.isArray(data) ? data : data.concepts;
+    if (!Array.isArray(items)) {
+        throw new Error('JSON concept list must be an array or an object with a "concepts" array');
+    }
+    return items.map(item => {
+        if (typeof item === 'string') return item;
+        const key = CONCEPT_COLUMNS.find(column => typeof item?.[column] === 'string');
+        return key ? item[key] : '';
+    });
+}
+
+function parseCsvList(lines) {
+    const rows = lines.map(parseCsvLine);
+    const header = rows[0].map(column => column.toLowerCase());
+    const columnIndex = header.findIndex(column => CONCEPT_COLUMNS.includes(column));
+
+    // Without a recognised header row, the first column holds the concepts
+    if (columnIndex === -1) {
+        return rows.map(row => row[0]);
+    }
+    return rows.slice(1).map(row => row[columnIndex] || '');
+}
+
+// Parse a CSV, JSON or newline-separated concept list. The format is taken from
+// the file extension when there is one, otherwise sniffed from the content.
+// Blank lines and lines starting with # are ignored, and duplicates are dropped.
+function parseConceptList(text, filename = '') {
+    const extension = path.extname(filename).toLowerCase();
+    const trimmed = text.replace(/^\uFEFF/, '').trim();
+    const lines = trimmed.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+
+    let concepts;
+    if (extension === '.json' || (!extension && /^[[{]/.test(trimmed))) {
+        concepts = parseJsonList(trimmed);
+    } else if (extension === '.csv' || (!extension && lines.some(line => line.includes(',')))) {
+        concepts = parseCsvList(lines);
+    } else {
+        concepts = lines;
+    }
+
+    const seen = new Set();
+    return concepts
+        .map(concept => String(concept).trim())
+        .filter(concept => {
+            const key = normalizeConcept(concept);
+            if (!key || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+// USD spent by one generation, including its research and style analysis
+function entryCost(entry) {
+    return entry.costBreakdown ? entry.costBreakdown.total : (entry.tokenUsage?.estimated_cost || 0);
+}
+
+// Total USD spent by one generation result (single model or comparison mode)
+function resultCost(result) {
+    if (result.results) {
+        return Object.values(result.results).reduce((sum, entry) => sum + entryCost(entry), 0);
+    }
+    return entryCost(result);
+}
+
+function resultFilenames(result) {
+    if (result.results) {
+        return Object.values(result.results).filter(entry => entry.filename).map(entry => entry.filename);
+    }
+    return result.filename ? [result.filename] : [];
+}
+
+// Run every concept through generate(params, onProgress) sequentially.
+// Before starting a concept the projected spend (spent so far plus the average
+// cost of the generations in this batch) is compared with the budget, so the
+// cap is not overshot by more than one generation's worth of variance.
+async function runBatch({ concepts, params, budget = null, generate, report }) {
+    const startedAt = new Date().toISOString();
+    const items = [];
+    let spent = 0;
+    let billedCount = 0;
+
+    for (let i = 0; i < concepts.length; i++) {
+        const concept = concepts[i];
+        const label = `[${i + 1}/${concepts.length}] ${concept}`;
+        const averageCost = billedCount > 0 ? spent / billedCount : 0;
+
+        if (budget !== null && (spent >= budget || spent + averageCost > budget)) {
+            items.push({ concept, status: 'skipped_budget', filenames: [], seed: null, cost: 0, error: null });
+            report('item_completed', `${label}: skipped, budget of $${budget.toFixed(2)} reached`);
+            continue;
+        }
+
+        try {
+            const result = await generate({ ...params, prompt: concept }, (phase, message) => report(phase, `${label}: ${message}`));
+            const cost = resultCost(result);
+            const cached = result.results
+                ? Object.values(result.results).every(entry => entry.cached)
+                : Boolean(result.cached);
+            const failures = result.results
+                ? Object.entries(result.results).filter(([, entry]) => !entry.success)
+                : [];
+
+            spent += cost;
+            if (cost > 0) billedCount++;
+
+            const item = {
+                concept,
+                status: failures.length > 0 ? 'failed' : (cached ? 'skipped' : 'generated'),
+                filenames: resultFilenames(result),
+                seed: result.cached ? null : result.seed ?? null,
+                cost,
+                error: failures.length > 0 ? failures.map(([id, entry]) => `${id}: ${entry.error}`).join('; ') : null
+            };
+            items.push(item);
+            report('item_completed', `${label}: ${item.status}${cost > 0 ? ` ($${cost.toFixed(4)})` : ''}`);
+        } catch (error) {
+            // The daily or monthly budget ran out part way through the batch
+            const status = error.code === 'BUDGET_EXCEEDED' ? 'skipped_budget' : 'failed';
+            items.push({ concept, status, filenames: [], seed: null, cost: 0, error: error.message });
+            report('item_completed', `${label}: ${status === 'failed' ? 'failed' : 'skipped'} - ${error.message}`);
+        }
+    }
+
+    const count = status => items.filter(item => item.status === status).length;
+
+    return {
+        model: params.model,
+        budget,
+        spent,
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        totals: {
+            concepts: concepts.length,
+            generated: count('generated'),
+            skipped: count('skipped'),
+            skippedBudget: count('skipped_budget'),
+            failed: count('failed')
+        },
+        items
+    };
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatReportCsv(report) {
+    const rows = [['concept', 'status', 'filenames', 'seed', 'cost', 'error']];
+    for (const item of report.items) {
+        rows.push([item.concept, item.status, item.filenames.join(' '), item.seed, item.cost.toFixed(4), item.error]);
+    }
+    rows.push(['TOTAL', '', '', '', report.spent.toFixed(4), '']);
+    return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+    parseConceptList,
+    runBatch,
+    formatReportCsv
+};
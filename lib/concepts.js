@@ -0,0 +1,202 @@
+const path = require('path');
+const fsSync = require('fs');
+
+// Picks the base robots for a prompt from the existing robots, using the concept
+// taxonomy in config/concepts.json (or the file named by CONCEPTS_FILE):
+//   aliases  - alternative names for a concept, e.g. "k8s" -> "Kubernetes"
+//   families - robot name -> concepts that belong to it, e.g. "Python" -> ["Django", "FastAPI"].
+//              Families can nest; a concept without a robot uses the nearest family that has one.
+
+const CONCEPTS_FILE = process.env.CONCEPTS_FILE || path.join(__dirname, '..', 'config', 'concepts.json');
+
+// Longest run of prompt words tried as one concept, e.g. "amazon web services"
+const MAX_PHRASE_WORDS = 4;
+// Shorter names are too easily confused for a near-miss spelling to mean anything
+const FUZZY_MIN_LENGTH = 6;
+
+let taxonomy = null;
+
+// Comparable form of a name: lowercase letters, digits, + and #, e.g. "Node.js" -> "nodejs", "C++" -> "c++"
+function matchKey(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9+#]/g, '');
+}
+
+function loadTaxonomy() {
+    if (!taxonomy) {
+        const { aliases = {}, families = {} } = JSON.parse(fsSync.readFileSync(CONCEPTS_FILE, 'utf8'));
+        taxonomy = { aliases: new Map(), parents: new Map() };
+        for (const [alias, name] of Object.entries(aliases)) {
+            taxonomy.aliases.set(matchKey(alias), name);
+        }
+        for (const [parent, members] of Object.entries(families)) {
+            for (const member of members) {
+                taxonomy.parents.set(matchKey(member), parent);
+            }
+        }
+        console.log(`Loaded ${taxonomy.aliases.size} concept aliases and ${Object.keys(families).length} families from ${CONCEPTS_FILE}`);
+    }
+    return taxonomy;
+}
+
+// The concept an alternative name stands for, e.g. "k8s" -> "Kubernetes"; other names are returned as given
+function resolveAlias(name) {
+    const { aliases } = loadTaxonomy();
+    return aliases.get(matchKey(name)) || name;
+}
+
+// Families a concept belongs to, nearest first, e.g. "NextJS" -> ["React", "JavaScript"]
+function conceptFamilies(name) {
+    const { parents } = loadTaxonomy();
+    let key = matchKey(resolveAlias(name));
+    const families = [];
+    const seen = new Set([key]);
+    while (parents.has(key)) {
+        const parent = parents.get(key);
+        families.push(parent);
+        key = matchKey(parent);
+        if (seen.has(key)) break;
+        seen.add(key);
+    }
+    return families;
+}
+
+// Edits (insert, delete, substitute or swap two neighbours) to turn a into b, so "pyhton" -> "python" is 1
+function editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) {
+        rows[0][j] = j;
+    }
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            rows[i][j] = Math.min(
+                rows[i - 1][j] + 1,
+                rows[i][j - 1] + 1,
+                rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+// "nextjs" and "next" name the same framework
+function withoutJsSuffix(key) {
+    return key.length > 4 && key.endsWith('js') ? key.slice(0, -2) : key;
+}
+
+// Closest robot to a misspelled or differently suffixed key, if any is close enough
+function fuzzyMatch(key, index) {
+    const allowed = key.length >= 9 ? 2 : 1;
+    let best = null;
+    for (const [robotKey, robot] of index) {
+        const distance = withoutJsSuffix(robotKey) === withoutJsSuffix(key)
+            ? 0
+            : key.length >= FUZZY_MIN_LENGTH ? editDistance(key, robotKey) : Infinity;
+        if (distance <= allowed && (!best || distance < best.distance)) {
+            best = { robot, distance };
+        }
+    }
+    return best && best.robot;
+}
+
+// Find the robot for one concept name. Resolves with { robot, reason, via } where
+// via lists the names followed from the prompt text to the robot, or null.
+function resolveConcept(text, index, { aliases, parents }) {
+    const key = matchKey(text);
+    if (index.has(key)) {
+        return { robot: index.get(key), reason: 'name', via: [text] };
+    }
+
+    const via = [text];
+    let conceptKey = key;
+    let reason = null;
+    if (aliases.has(key)) {
+        via.push(aliases.get(key));
+        conceptKey = matchKey(aliases.get(key));
+        reason = 'alias';
+        if (index.has(conceptKey)) {
+            return { robot: index.get(conceptKey), reason, via };
+        }
+    }
+
+    const fuzzy = fuzzyMatch(conceptKey, index);
+    if (fuzzy) {
+        return { robot: fuzzy, reason: 'fuzzy', via: [...via, fuzzy.name] };
+    }
+
+    // Walk up the families until one has a robot
+    const seen = new Set([conceptKey]);
+    while (parents.has(conceptKey)) {
+        const parent = parents.get(conceptKey);
+        via.push(parent);
+        conceptKey = matchKey(parent);
+        if (index.has(conceptKey)) {
+            return { robot: index.get(conceptKey), reason: 'family', via };
+        }
+        if (seen.has(conceptKey)) break;
+        seen.add(conceptKey);
+    }
+
+    return null;
+}
+
+// Base robots for a prompt, each annotated with why it was chosen:
+//   reason  - "exact" (the whole prompt names a robot, directly or through an alias),
+//             "name", "alias", "fuzzy" or "family" for words and phrases in the prompt
+//   matched - the prompt text that matched
+//   via     - names followed from that text to the robot, e.g. ["k8s", "Kubernetes", "YAML"]
+// robots is a list of { name, path, source }; when several share a name the first
+// wins, so callers list their preferred sources first.
+function matchRelatedRobots(prompt, robots) {
+    const index = new Map();
+    for (const robot of robots) {
+        const key = matchKey(robot.name);
+        if (key && !index.has(key)) {
+            index.set(key, robot);
+        }
+    }
+    const concepts = loadTaxonomy();
+
+    // A prompt that names a robot outright uses only that robot
+    const whole = resolveConcept(prompt.trim(), index, concepts);
+    if (whole && (whole.reason === 'name' || whole.reason === 'alias')) {
+        return [{ ...whole.robot, reason: 'exact', matched: prompt.trim(), via: whole.via }];
+    }
+
+    // Otherwise match runs of words, longest first, each word used at most once
+    const words = prompt.split(/[\s\-_,&/+]+/).filter(Boolean);
+    const used = new Array(words.length).fill(false);
+    const matches = [];
+    const chosen = new Set();
+
+    for (let length = Math.min(MAX_PHRASE_WORDS, words.length); length >= 1; length--) {
+        for (let start = 0; start + length <= words.length; start++) {
+            if (used.slice(start, start + length).some(Boolean)) continue;
+            const phrase = words.slice(start, start + length).join(' ');
+            if (matchKey(phrase).length < 2) continue;
+
+            const match = resolveConcept(phrase, index, concepts);
+            if (!match) continue;
+
+            used.fill(true, start, start + length);
+            const robotKey = matchKey(match.robot.name);
+            if (!chosen.has(robotKey)) {
+                chosen.add(robotKey);
+                matches.push({ ...match.robot, reason: match.reason, matched: phrase, via: match.via, position: start });
+            }
+        }
+    }
+
+    return matches
+        .sort((a, b) => a.position - b.position)
+        .map(({ position, ...match }) => match);
+}
+
+module.exports = {
+    matchKey,
+    resolveAlias,
+    conceptFamilies,
+    matchRelatedRobots
+};
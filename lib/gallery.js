@@ -0,0 +1,221 @@
+const path = require('path');
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const { readMetadata, writeMetadata } = require('./metadata');
+const { conceptKey, fileStem, readCanonicalVersions, setCanonicalVersion } = require('./versions');
+const { findOriginal, transparentUrls, saveGeneratedImage, moveDerivedFiles, removeDerivedFiles } = require('./renditions');
+const { listLibrary } = require('./library');
+
+// Gallery management: delete, rename and move images between Generated/ and the
+// reference library. The library index (lib/library.js) watches these folders, so
+// changes reach reference matching right away. Sidecar metadata, the kept original
+// and the renditions travel with the image.
+
+const ROOT_DIR = path.join(__dirname, '..');
+const GENERATED_DIR = path.join(ROOT_DIR, 'Generated');
+
+// Reference library tiers, keyed by the source names used in metadata
+const REFERENCE_TIERS = {
+    reference: path.join(ROOT_DIR, 'Reference Images'),
+    secondary_reference: path.join(ROOT_DIR, 'Secondary Reference Images')
+};
+
+const IMAGE_PATTERN = /\.(png|jpg|jpeg)$/i;
+const TIMESTAMP_PATTERN = /_(\d{13})$/;
+
+class GalleryError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'GalleryError';
+        this.status = status;
+    }
+}
+
+async function exists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Resolve an image in Generated/, rejecting path tricks and non-images
+async function generatedImagePath(filename) {
+    const name = path.basename(filename);
+    const imagePath = path.join(GENERATED_DIR, name);
+    if (!IMAGE_PATTERN.test(name) || !await exists(imagePath)) {
+        throw new GalleryError(`Image not found: ${name}`, 404);
+    }
+    return imagePath;
+}
+
+function tierDir(tier) {
+    const dir = REFERENCE_TIERS[tier];
+    if (!dir) {
+        throw new GalleryError(`Unknown reference tier: ${tier} (use ${Object.keys(REFERENCE_TIERS).join(' or ')})`, 400);
+    }
+    return dir;
+}
+
+async function assertFree(toPath) {
+    if (await exists(toPath)) {
+        throw new GalleryError(`${path.basename(toPath)} already exists in ${path.basename(path.dirname(toPath))}`, 409);
+    }
+}
+
+// Move an image and its sidecar (if any), refusing to overwrite
+async function moveImage(fromPath, toPath) {
+    await assertFree(toPath);
+    await fs.rename(fromPath, toPath);
+    if (await exists(`${fromPath}.json`)) {
+        await fs.rename(`${fromPath}.json`, `${toPath}.json`);
+    }
+}
+
+// Forget a canonical choice that points at a file which is going away
+async function dropCanonical(filename) {
+    const canonical = await readCanonicalVersions();
+    for (const [key, file] of Object.entries(canonical)) {
+        if (file === filename) {
+            await setCanonicalVersion(key, null);
+        }
+    }
+}
+
+async function deleteImage(filename) {
+    const imagePath = await generatedImagePath(filename);
+    const name = path.basename(imagePath);
+
+    await fs.unlink(imagePath);
+    await fs.rm(`${imagePath}.json`, { force: true });
+    await removeDerivedFiles(name);
+    await dropCanonical(name);
+
+    console.log(`Deleted ${name}`);
+    return { deleted: name };
+}
+
+// Re-label an image's concept. The file is renamed to match (keeping its model
+// and refinement suffixes and timestamp) so cache lookups and related-robot
+// matching find it under the new concept.
+async function renameImage(filename, concept) {
+    const imagePath = await generatedImagePath(filename);
+    const oldName = path.basename(imagePath);
+    const metadata = await readMetadata(oldName);
+
+    const extension = path.extname(oldName);
+    const stem = path.basename(oldName, extension);
+    const timestamp = stem.match(TIMESTAMP_PATTERN)?.[1] || String(Date.now());
+    const oldKey = metadata?.concept ? conceptKey(metadata.concept) : fileStem(oldName);
+    const withoutTimestamp = stem.toLowerCase().replace(TIMESTAMP_PATTERN, '');
+    const suffix = withoutTimestamp.startsWith(oldKey) ? withoutTimestamp.slice(oldKey.length) : '';
+    const newName = `${conceptKey(concept)}${suffix}_${timestamp}${extension}`;
+
+    if (newName !== oldName) {
+        await moveImage(imagePath, path.join(GENERATED_DIR, newName));
+        await moveDerivedFiles(oldName, newName);
+        await dropCanonical(oldName);
+    }
+
+    const record = metadata || { filename: newName, source: 'generated', createdAt: new Date().toISOString() };
+    if (record.transparent) {
+        record.transparent = transparentUrls(newName);
+    }
+    await writeMetadata(newName, { ...record, filename: newName, concept, renamedFrom: oldName });
+
+    console.log(`Renamed ${oldName} to ${newName} ("${concept}")`);
+    return { filename: newName, previousFilename: oldName, concept };
+}
+
+// Move a generated robot into the reference library as "<name><ext>". The
+// full-resolution original is used when one was kept; one in a format the library
+// doesn't index (a WebP original kept before those were converted) becomes a PNG.
+async function promoteImage(filename, tier, name) {
+    const imagePath = await generatedImagePath(filename);
+    const dir = tierDir(tier);
+    const oldName = path.basename(imagePath);
+    const metadata = await readMetadata(oldName);
+    const original = await findOriginal(oldName);
+
+    // Reference files are named after the robot itself, e.g. "C#.jpeg"
+    const label = (name || metadata?.concept || fileStem(oldName)).replace(/[\\/]/g, '').trim();
+    if (!label) {
+        throw new GalleryError('A reference name is required', 400);
+    }
+    const convert = Boolean(original) && !IMAGE_PATTERN.test(original);
+    const referenceName = `${label}${convert ? '.png' : path.extname(original || oldName)}`;
+    const referencePath = path.join(dir, referenceName);
+
+    if (convert) {
+        await assertFree(referencePath);
+        await sharp(original).png().toFile(referencePath);
+        await fs.unlink(original);
+        await fs.unlink(imagePath);
+        await fs.rm(`${imagePath}.json`, { force: true });
+    } else if (original) {
+        await moveImage(original, referencePath);
+        await fs.unlink(imagePath);
+        await fs.rm(`${imagePath}.json`, { force: true });
+    } else {
+        await moveImage(imagePath, referencePath);
+    }
+    await removeDerivedFiles(oldName);
+    await dropCanonical(oldName);
+    if (metadata) {
+        // The transparent copies were removed with the other derived files
+        delete metadata.transparent;
+        await fs.writeFile(path.join(dir, `${referenceName}.json`), JSON.stringify({ ...metadata, filename: referenceName, tier, promotedAt: new Date().toISOString() }, null, 2));
+    }
+
+    console.log(`Promoted ${oldName} to ${path.basename(dir)}/${referenceName}`);
+    return { filename: referenceName, previousFilename: oldName, tier };
+}
+
+// Move a reference robot back into Generated/ as an ordinary generated version
+async function demoteImage(tier, filename) {
+    const dir = tierDir(tier);
+    const referenceName = path.basename(filename);
+    const referencePath = path.join(dir, referenceName);
+    if (!IMAGE_PATTERN.test(referenceName) || !await exists(referencePath)) {
+        throw new GalleryError(`Reference image not found: ${referenceName}`, 404);
+    }
+
+    const label = path.basename(referenceName, path.extname(referenceName));
+    const sidecar = `${referencePath}.json`;
+    const metadata = await exists(sidecar) ? JSON.parse(await fs.readFile(sidecar, 'utf8')) : null;
+
+    // Saved like any generation: the reference file becomes the kept original
+    const newName = await saveGeneratedImage(await fs.readFile(referencePath), `${conceptKey(label)}_${Date.now()}`);
+    await fs.unlink(referencePath);
+    await fs.rm(sidecar, { force: true });
+
+    const record = metadata || { concept: label, source: tier, createdAt: new Date().toISOString() };
+    delete record.tier;
+    delete record.promotedAt;
+    await writeMetadata(newName, { ...record, filename: newName, demotedFrom: `${path.basename(dir)}/${referenceName}` });
+
+    console.log(`Demoted ${path.basename(dir)}/${referenceName} to ${newName}`);
+    return { filename: newName, previousFilename: referenceName, tier };
+}
+
+// Images in both reference tiers
+async function listReferences() {
+    const references = [];
+    for (const tier of Object.keys(REFERENCE_TIERS)) {
+        for (const entry of await listLibrary({ tier })) {
+            references.push({ tier, filename: entry.file, name: entry.name });
+        }
+    }
+    return references;
+}
+
+module.exports = {
+    REFERENCE_TIERS,
+    GalleryError,
+    deleteImage,
+    renameImage,
+    promoteImage,
+    demoteImage,
+    listReferences
+};
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// In-memory store for asynchronous generation jobs.
+// A job runs a task in the background; the task reports progress through
+// report(phase, message), and subscribers receive each progress event plus a
+// final notification when the job completes or fails.
+
+// Finished jobs are kept this long so clients can still fetch the result
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+
+function createJob(type, params, task) {
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        params,
+        status: 'queued',
+        phase: 'queued',
+        events: [],
+        result: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        emitter: new EventEmitter()
+    };
+    jobs.set(job.id, job);
+
+    const report = (phase, message) => {
+        const event = { phase, message, timestamp: new Date().toISOString() };
+        job.phase = phase;
+        job.updatedAt = event.timestamp;
+        job.events.push(event);
+        job.emitter.emit('progress', event);
+    };
+
+    const finish = () => {
+        job.updatedAt = new Date().toISOString();
+        job.emitter.emit('done', job);
+        setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref();
+    };
+
+    // Start on the next tick so the caller can respond with the job id first
+    setImmediate(async () => {
+        job.status = 'running';
+        try {
+            job.result = await task(report);
+            job.status = 'completed';
+            report('completed', 'Job completed');
+        } catch (error) {
+            console.error(`Job ${job.id} failed:`, error);
+            job.status = 'failed';
+            job.error = error.message || 'Job failed';
+            report('failed', job.error);
+        }
+        finish();
+    });
+
+    return job;
+}
+
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+function isFinished(job) {
+    return job.status === 'completed' || job.status === 'failed';
+}
+
+// Listen for progress and completion. Returns an unsubscribe function.
+function subscribeToJob(job, { onProgress, onDone }) {
+    job.emitter.on('progress', onProgress);
+    job.emitter.on('done', onDone);
+    return () => {
+        job.emitter.off('progress', onProgress);
+        job.emitter.off('done', onDone);
+    };
+}
+
+// Public view of a job for the API
+function describeJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        phase: job.phase,
+        params: job.params,
+        events: job.events,
+        result: job.result,
+        error: job.error,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+    };
+}
+
+function listJobs() {
+    return Array.from(jobs.values());
+}
+
+module.exports = {
+    createJob,
+    getJob,
+    isFinished,
+    subscribeToJob,
+    describeJob,
+    listJobs
+};
@@ -0,0 +1,151 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+// Persistent cost ledger. Every billable provider call (image generation,
+// style analysis, research, connectivity tests) is appended as one JSON line
+// to Data/cost-ledger.jsonl. Days and months are UTC.
+//
+// Budgets are read from the environment:
+//   DAILY_BUDGET_USD    - refuse new generations once today's spend reaches this
+//   MONTHLY_BUDGET_USD  - same for the current calendar month
+
+const DATA_DIR = path.join(__dirname, '..', 'Data');
+const LEDGER_FILE = path.join(DATA_DIR, 'cost-ledger.jsonl');
+
+class BudgetExceededError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BudgetExceededError';
+        this.code = 'BUDGET_EXCEEDED';
+        this.status = 402;
+    }
+}
+
+function budgetLimit(variable) {
+    const value = Number(process.env[variable]);
+    return value > 0 ? value : null;
+}
+
+function getBudgets() {
+    return {
+        daily: budgetLimit('DAILY_BUDGET_USD'),
+        monthly: budgetLimit('MONTHLY_BUDGET_USD')
+    };
+}
+
+// Append one billable call: { model, stage, cost, concept, tokenUsage }
+async function recordCost({ model, stage, cost, concept = null, tokenUsage = null }) {
+    const entry = {
+        timestamp: new Date().toISOString(),
+        model,
+        stage,
+        concept,
+        cost: cost || 0,
+        estimated: Boolean(tokenUsage?.estimated),
+        tokenUsage
+    };
+    try {
+        await fs.mkdir(DATA_DIR, { recursive: true });
+        await fs.appendFile(LEDGER_FILE, JSON.stringify(entry) + '\n');
+    } catch (error) {
+        // A ledger write failure shouldn't lose an image that was already paid for
+        console.error('Error recording cost:', error);
+    }
+    return entry;
+}
+
+async function readLedger() {
+    try {
+        const content = await fs.readFile(LEDGER_FILE, 'utf8');
+        return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+function addTo(bucket, key, entry) {
+    if (!bucket[key]) {
+        bucket[key] = { total: 0, calls: 0 };
+    }
+    bucket[key].total += entry.cost;
+    bucket[key].calls++;
+    return bucket[key];
+}
+
+function spentSince(entries, prefix) {
+    return entries
+        .filter(entry => entry.timestamp.startsWith(prefix))
+        .reduce((sum, entry) => sum + entry.cost, 0);
+}
+
+function budgetStatus(limit, spent) {
+    return {
+        limit,
+        spent,
+        remaining: limit === null ? null : Math.max(limit - spent, 0),
+        exceeded: limit !== null && spent >= limit
+    };
+}
+
+// Current spend against the configured daily and monthly budgets
+async function getBudgetStatus(entries) {
+    const ledger = entries || await readLedger();
+    const today = new Date().toISOString().slice(0, 10);
+    const budgets = getBudgets();
+
+    return {
+        daily: budgetStatus(budgets.daily, spentSince(ledger, today)),
+        monthly: budgetStatus(budgets.monthly, spentSince(ledger, today.slice(0, 7)))
+    };
+}
+
+// Throw BudgetExceededError if either budget has been used up
+async function assertWithinBudget() {
+    const status = await getBudgetStatus();
+    if (status.daily.exceeded) {
+        throw new BudgetExceededError(`Daily budget of $${status.daily.limit.toFixed(2)} reached ($${status.daily.spent.toFixed(4)} spent today)`);
+    }
+    if (status.monthly.exceeded) {
+        throw new BudgetExceededError(`Monthly budget of $${status.monthly.limit.toFixed(2)} reached ($${status.monthly.spent.toFixed(4)} spent this month)`);
+    }
+}
+
+// Totals with per-day, per-model and per-stage breakdowns, optionally limited
+// to entries between from and to (inclusive YYYY-MM-DD dates)
+async function summarizeCosts({ from, to } = {}) {
+    const ledger = await readLedger();
+    const entries = ledger.filter(entry => {
+        const day = entry.timestamp.slice(0, 10);
+        return (!from || day >= from) && (!to || day <= to);
+    });
+
+    const summary = { total: 0, calls: 0, estimatedCalls: 0, byDay: {}, byModel: {}, byStage: {} };
+    for (const entry of entries) {
+        summary.total += entry.cost;
+        summary.calls++;
+        if (entry.estimated) summary.estimatedCalls++;
+
+        const day = addTo(summary.byDay, entry.timestamp.slice(0, 10), entry);
+        day.byModel = day.byModel || {};
+        addTo(day.byModel, entry.model, entry);
+
+        const model = addTo(summary.byModel, entry.model, entry);
+        model.byStage = model.byStage || {};
+        addTo(model.byStage, entry.stage, entry);
+
+        addTo(summary.byStage, entry.stage, entry);
+    }
+
+    summary.budget = await getBudgetStatus(ledger);
+    return summary;
+}
+
+module.exports = {
+    BudgetExceededError,
+    recordCost,
+    readLedger,
+    getBudgetStatus,
+    assertWithinBudget,
+    summarizeCosts
+};
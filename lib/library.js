@@ -0,0 +1,236 @@
+const path = require('path');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const { readMetadata } = require('./metadata');
+const { conceptKey, fileStem, findOldestFile, readCanonicalVersions } = require('./versions');
+const { matchKey, resolveAlias, conceptFamilies } = require('./concepts');
+
+// In-memory index of every robot image in the library, shared by reference
+// selection, related-robot matching, the exact-match cache, the similarity check
+// and the library browser. Each tier's folder is scanned once and rescanned after
+// a file watcher sees it change.
+//
+// Tiers are listed in order of preference: when several images are the same robot
+// (the same name once case and punctuation are ignored, e.g. Generated/python_1758….jpg
+// and Reference Images/Python.jpeg) the first is the robot and the rest are its
+// duplicates. Within Generated/ the canonical version comes first, then the oldest.
+// A robot promoted into a reference folder outranks them all: the concept's other
+// versions stay in Generated/, but the promoted one was chosen over them.
+//
+// Every entry is tagged with the concept families it belongs to (config/concepts.json)
+// and, for generated images, the model that made it, whether it was refined and the
+// prompt template version it was written with (e.g. prompt:v1). Reference images
+// promoted from Generated/ are tagged promoted.
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+const TIERS = [
+    { tier: 'generated', folder: 'Generated', url: '/generated' },
+    { tier: 'reference', folder: 'Reference Images', url: '/reference' },
+    { tier: 'secondary_reference', folder: 'Secondary Reference Images', url: '/secondary-reference' },
+    { tier: 'png', folder: 'Png', url: '/png' }
+];
+const TIER_NAMES = TIERS.map(({ tier }) => tier);
+
+const IMAGE_PATTERN = /\.(png|jpg|jpeg)$/i;
+
+// Scanned entries per tier; a tier missing here is scanned on next use
+const scanned = new Map();
+const watchers = [];
+
+function tierInfo(tier) {
+    return TIERS.find(info => info.tier === tier);
+}
+
+function entryTags(name, tier, file, metadata) {
+    const tags = conceptFamilies(name);
+    if (tier === 'generated') {
+        if (metadata?.model) tags.push(metadata.model);
+        if (metadata?.parent || /_refined_\d{13}\./.test(file)) tags.push('refined');
+        if (metadata?.transparent) tags.push('transparent');
+        if (metadata?.promptTemplates) tags.push(`prompt:${metadata.promptTemplates.version}`);
+    } else if (metadata?.promotedAt) {
+        tags.push('promoted');
+    }
+    return tags;
+}
+
+// The sidecar promoteImage leaves next to a reference image, or null
+async function readReferenceSidecar(filePath) {
+    try {
+        return JSON.parse(await fs.readFile(`${filePath}.json`, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Error reading metadata for ${filePath}:`, error);
+        }
+        return null;
+    }
+}
+
+async function scanTier({ tier, folder, url }) {
+    const dir = path.join(ROOT_DIR, folder);
+    let files = [];
+    try {
+        files = await fs.readdir(dir);
+    } catch (error) {
+        console.log(`${folder} folder not found or inaccessible`);
+        return [];
+    }
+
+    const entries = [];
+    for (const file of files.filter(file => IMAGE_PATTERN.test(file)).sort()) {
+        const metadata = tier === 'generated' ? await readMetadata(file) : await readReferenceSidecar(path.join(dir, file));
+        // A generated filename loses punctuation (C++ is saved as c___….jpg, whose stem
+        // would match C), so the concept comes from the metadata; the stem is a fallback
+        const name = tier === 'generated' ? metadata?.concept || fileStem(file) : path.basename(file, path.extname(file));
+        entries.push({
+            name,
+            key: matchKey(name),
+            tier,
+            file,
+            path: path.join(dir, file),
+            relativePath: path.join(folder, file),
+            url: `${url}/${encodeURIComponent(file)}`,
+            tags: entryTags(name, tier, file, metadata),
+            lineage: tier === 'generated' ? metadata?.lineage || null : null
+        });
+    }
+    return entries;
+}
+
+// Entries of one tier, scanning it if it changed since the last scan
+async function tierEntries(tier) {
+    if (!scanned.has(tier)) {
+        const scan = scanTier(tierInfo(tier));
+        scanned.set(tier, scan);
+        scan.catch(() => scanned.delete(tier));
+    }
+    return scanned.get(tier);
+}
+
+// Scan every tier now, e.g. at startup
+async function refreshLibrary() {
+    scanned.clear();
+    const counts = [];
+    for (const tier of TIER_NAMES) {
+        counts.push(`${(await tierEntries(tier)).length} ${tier}`);
+    }
+    console.log(`Indexed library: ${counts.join(', ')}`);
+}
+
+// Rescan a tier whenever its folder changes
+function watchLibrary() {
+    if (watchers.length > 0) {
+        return;
+    }
+    for (const { tier, folder } of TIERS) {
+        try {
+            watchers.push(fsSync.watch(path.join(ROOT_DIR, folder), () => scanned.delete(tier)));
+        } catch (error) {
+            console.log(`Not watching ${folder}: ${error.message}`);
+        }
+    }
+}
+
+// Stop watching, e.g. when a command-line run is done, so the process can exit
+function unwatchLibrary() {
+    watchers.splice(0).forEach(watcher => watcher.close());
+}
+
+// Every library entry with duplicates resolved: { name, tier, file, path,
+// relativePath, url, tags, lineage, canonical, duplicateOf, duplicates }. duplicateOf is the
+// relative path of the robot an entry duplicates, or null for the robot itself,
+// which lists its duplicates. Optionally narrowed to one tier and/or tag.
+async function listLibrary({ tier = null, tag = null } = {}) {
+    const canonicalFiles = new Set(Object.values(await readCanonicalVersions()));
+    const isCanonical = entry => entry.tier === 'generated' && canonicalFiles.has(entry.file);
+
+    const entries = [];
+    for (const name of TIER_NAMES) {
+        entries.push(...await tierEntries(name));
+    }
+    const rank = entry => entry.tags.includes('promoted') ? 0 : isCanonical(entry) ? 1 : 2;
+    const ordered = [...entries].sort((a, b) => rank(a) - rank(b));
+
+    const robots = new Map();
+    const resolved = ordered.map(entry => {
+        const robot = robots.get(entry.key);
+        const item = {
+            ...entry,
+            tags: isCanonical(entry) ? [...entry.tags, 'canonical'] : entry.tags,
+            canonical: isCanonical(entry),
+            duplicateOf: robot ? robot.relativePath : null,
+            duplicates: []
+        };
+        if (robot) {
+            robot.duplicates.push(entry.relativePath);
+        } else {
+            robots.set(entry.key, item);
+        }
+        return item;
+    });
+
+    return resolved.filter(entry => (!tier || entry.tier === tier) && (!tag || entry.tags.includes(tag)));
+}
+
+// One entry per robot, most preferred tier first, as { name, path, source, ... }
+// for related-robot matching. excludeVersionsOf leaves out the generated versions of
+// that concept (aliases included), e.g. so a new version isn't based on the old
+// ones; a library image they were shadowing takes their place.
+async function libraryRobots({ excludeVersionsOf = null } = {}) {
+    const excluded = excludeVersionsOf
+        ? new Set([excludeVersionsOf, resolveAlias(excludeVersionsOf.trim())].map(matchKey))
+        : new Set();
+    const robots = new Map();
+    for (const entry of await listLibrary()) {
+        if (!robots.has(entry.key) && !(entry.tier === 'generated' && excluded.has(entry.key))) {
+            robots.set(entry.key, { ...entry, source: entry.tier });
+        }
+    }
+    return [...robots.values()];
+}
+
+// Filenames in a tier
+async function libraryFiles(tier) {
+    return (await tierEntries(tier)).map(entry => entry.file);
+}
+
+// An existing robot for exactly this prompt, or null: the canonical or oldest plain
+// generated version, else a library image with the prompt's name. An alias counts as
+// its concept's name (e.g. "TS" finds TypeScript), as in related-robot matching.
+// Resolves with { tier, file, path }.
+async function findExistingRobot(prompt) {
+    const names = [...new Set([prompt, resolveAlias(prompt.trim())])];
+    const generated = await tierEntries('generated');
+    const canonicalVersions = await readCanonicalVersions();
+    for (const name of names) {
+        const canonicalFile = canonicalVersions[conceptKey(name)];
+        const file = generated.some(entry => entry.file === canonicalFile)
+            ? canonicalFile
+            : findOldestFile(generated.map(entry => entry.file), conceptKey(name));
+        if (file) {
+            return { tier: 'generated', file, path: path.join(ROOT_DIR, 'Generated', file) };
+        }
+    }
+
+    const keys = names.map(matchKey);
+    for (const tier of TIER_NAMES.filter(name => name !== 'generated')) {
+        const entry = (await tierEntries(tier)).find(candidate => keys.includes(candidate.key));
+        if (entry) {
+            return { tier, file: entry.file, path: entry.path };
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    TIERS,
+    TIER_NAMES,
+    refreshLibrary,
+    watchLibrary,
+    unwatchLibrary,
+    listLibrary,
+    libraryRobots,
+    libraryFiles,
+    findExistingRobot
+};
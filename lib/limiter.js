@@ -0,0 +1,39 @@
+// Per-key concurrency limiter used to cap simultaneous generations per provider
+
+const lanes = new Map();
+
+function getLane(key) {
+    if (!lanes.has(key)) {
+        lanes.set(key, { active: 0, waiting: [] });
+    }
+    return lanes.get(key);
+}
+
+// Run fn once fewer than `limit` tasks with the same key are active.
+// onWait is called if the task has to queue behind others.
+async function withSlot(key, limit, fn, onWait = () => {}) {
+    const lane = getLane(key);
+
+    if (lane.active >= limit) {
+        onWait(lane.waiting.length + 1);
+        await new Promise(resolve => lane.waiting.push(resolve));
+    } else {
+        lane.active++;
+    }
+
+    try {
+        return await fn();
+    } finally {
+        // Hand the slot straight to the next waiting task, if any
+        const next = lane.waiting.shift();
+        if (next) {
+            next();
+        } else {
+            lane.active--;
+        }
+    }
+}
+
+module.exports = {
+    withSlot
+};
@@ -0,0 +1,129 @@
+const path = require('path');
+const { matchKey, conceptFamilies } = require('./concepts');
+const { listLibrary } = require('./library');
+
+// Concept lineage: which robots a variant was derived from, e.g. Django -> Python or
+// NextJS -> React -> JavaScript. A generated variant records one entry per base
+// robot in its metadata:
+//   { parent, path, reason, chain }
+// where chain runs from the new concept through the base robot to its own
+// ancestors, e.g. ["NextJS", "React", "JavaScript"]. A base robot's ancestors are
+// its own recorded lineage when it has one, else its concept families from
+// config/concepts.json.
+//
+// The family tree puts every robot in the library under its first parent: the
+// recorded lineage for generated variants, else the nearest concept family that has
+// a robot. Robots without either are roots.
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Append names to a chain, skipping repeats of the name before them
+function extendChain(chain, names) {
+    for (const name of names) {
+        if (matchKey(name) !== matchKey(chain[chain.length - 1])) {
+            chain.push(name);
+        }
+    }
+    return chain;
+}
+
+// Ancestors of a library robot, nearest first
+function ancestorsOf(entry, name) {
+    if (entry?.lineage?.length > 0) {
+        return entry.lineage[0].chain.slice(1);
+    }
+    return conceptFamilies(name);
+}
+
+// Lineage recorded for a new robot for `prompt` with these base robots, or null for
+// a robot without any (a unique concept). Uploaded images aren't robots, so they
+// have no place in it.
+async function describeLineage(prompt, relatedRobots) {
+    const parents = relatedRobots.filter(robot => robot.source !== 'upload');
+    if (parents.length === 0) {
+        return null;
+    }
+
+    const entries = await listLibrary();
+    return parents.map(robot => {
+        const entry = entries.find(candidate => candidate.path === robot.path);
+        // via starts at the prompt text that matched and ends at the robot
+        const chain = extendChain([prompt], [...(robot.via || []).slice(1), robot.name]);
+        return {
+            parent: robot.name,
+            path: path.relative(ROOT_DIR, robot.path),
+            reason: robot.reason || null,
+            chain: extendChain(chain, ancestorsOf(entry, robot.name))
+        };
+    });
+}
+
+// The library as a forest of { name, tier, path, url, parents, children } nodes, one
+// per robot (duplicates left out). parents lists every parent name; a robot with
+// several sits under the first.
+async function buildFamilyTree() {
+    const robots = (await listLibrary()).filter(entry => !entry.duplicateOf);
+    const nodes = new Map();
+    for (const robot of robots) {
+        nodes.set(robot.key, {
+            name: robot.name,
+            tier: robot.tier,
+            path: robot.relativePath,
+            url: robot.url,
+            parents: [],
+            children: []
+        });
+    }
+
+    // Nearest name in each chain that is a robot in the library
+    const parentKeys = robot => {
+        const chains = robot.lineage?.length > 0
+            ? robot.lineage.map(item => item.chain.slice(1))
+            : [conceptFamilies(robot.name)];
+        const keys = [];
+        for (const chain of chains) {
+            const key = chain.map(matchKey).find(candidate => nodes.has(candidate) && candidate !== robot.key);
+            if (key && !keys.includes(key)) {
+                keys.push(key);
+            }
+        }
+        return keys;
+    };
+
+    const isAncestor = (key, node) => {
+        for (let current = node; current; current = current.placedUnder) {
+            if (current === nodes.get(key)) return true;
+        }
+        return false;
+    };
+
+    for (const robot of robots) {
+        const node = nodes.get(robot.key);
+        const keys = parentKeys(robot);
+        node.parents = keys.map(key => nodes.get(key).name);
+        const parent = keys.map(key => nodes.get(key)).find(candidate => !isAncestor(robot.key, candidate));
+        if (parent) {
+            node.placedUnder = parent;
+            parent.children.push(node);
+        }
+    }
+
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    const finish = node => ({
+        name: node.name,
+        tier: node.tier,
+        path: node.path,
+        url: node.url,
+        parents: node.parents,
+        children: node.children.sort(byName).map(finish)
+    });
+    return [...nodes.values()]
+        .filter(node => !node.placedUnder)
+        .sort(byName)
+        .map(finish);
+}
+
+module.exports = {
+    describeLineage,
+    buildFamilyTree
+};
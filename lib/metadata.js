@@ -0,0 +1,85 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+const ROOT_DIR = path.join(__dirname, '..');
+const GENERATED_DIR = path.join(ROOT_DIR, 'Generated');
+
+// Each image in Generated/ gets a JSON sidecar named after it,
+// e.g. python_1758663007797.jpg -> python_1758663007797.jpg.json
+function sidecarPath(filename) {
+    return path.join(GENERATED_DIR, `${path.basename(filename)}.json`);
+}
+
+// Store paths relative to the project so records survive moving the checkout
+function relativePath(filePath) {
+    return path.relative(ROOT_DIR, filePath);
+}
+
+// Assemble the record persisted for a saved image. `generation` is the result of
+// generateWithProvider and is omitted for images copied from a reference folder.
+// Refined images name their parent image and the instruction that produced them.
+// seed, pinnedReferences and referenceMode record how the references were chosen, for replays.
+// lineage lists the robots a variant was derived from (see lib/lineage.js).
+function createGenerationRecord({ filename, prompt, model, source = 'generated', sourceFile, extensiveThinking, relatedRobots = [], referenceImages = [], seed = null, pinnedReferences = false, referenceMode = 'auto', lineage = null, generation, timings, parent = null, instruction = null, version = 1 }) {
+    return {
+        filename,
+        concept: prompt,
+        model: model || null,
+        source,
+        sourceFile: sourceFile ? relativePath(sourceFile) : null,
+        createdAt: new Date().toISOString(),
+        parent,
+        version,
+        instruction,
+        extensiveThinking: Boolean(extensiveThinking),
+        isUniqueConcept: generation ? generation.isUniqueConcept : null,
+        relatedRobots: relatedRobots.map(robot => ({
+            name: robot.name,
+            source: robot.source,
+            path: relativePath(robot.path),
+            reason: robot.reason || null
+        })),
+        referenceImages: referenceImages.map(relativePath),
+        seed,
+        pinnedReferences,
+        referenceMode,
+        lineage,
+        research: generation ? generation.research : null,
+        researchSource: generation ? generation.researchSource : null,
+        styleGuide: generation ? generation.styleGuide : null,
+        styleSource: generation ? generation.styleSource : null,
+        styleProfile: generation ? generation.styleProfile : null,
+        stageModels: generation ? generation.stageModels : null,
+        promptTemplates: generation ? generation.promptTemplates || null : null,
+        finalPrompt: generation ? generation.finalPrompt : null,
+        tokenUsage: generation ? generation.tokenUsage : null,
+        cost: generation ? generation.cost : '$0.0000',
+        costBreakdown: generation ? generation.costBreakdown : null,
+        similarity: generation ? generation.similarity || null : null,
+        quality: generation ? generation.quality || null : null,
+        timings: timings || null
+    };
+}
+
+async function writeMetadata(filename, record) {
+    await fs.writeFile(sidecarPath(filename), JSON.stringify(record, null, 2));
+}
+
+// Returns the stored record, or null for images saved before metadata existed
+async function readMetadata(filename) {
+    try {
+        const content = await fs.readFile(sidecarPath(filename), 'utf8');
+        return JSON.parse(content);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Error reading metadata for ${filename}:`, error);
+        }
+        return null;
+    }
+}
+
+module.exports = {
+    createGenerationRecord,
+    writeMetadata,
+    readMetadata
+};
@@ -0,0 +1,48 @@
+const path = require('path');
+const fsSync = require('fs');
+
+// Per-model pricing table, loaded from config/pricing.json (or the file named by
+// PRICING_FILE). Rates are USD per 1M tokens; imageOutputTokens lists the output
+// tokens billed per generated image, keyed by "quality:size" or "default".
+
+const PRICING_FILE = process.env.PRICING_FILE || path.join(__dirname, '..', 'config', 'pricing.json');
+
+let pricing = null;
+
+function loadPricing() {
+    if (!pricing) {
+        pricing = JSON.parse(fsSync.readFileSync(PRICING_FILE, 'utf8')).models;
+        console.log(`Loaded pricing for ${Object.keys(pricing).length} models from ${PRICING_FILE}`);
+    }
+    return pricing;
+}
+
+function getModelPricing(model) {
+    const rates = loadPricing()[model];
+    if (!rates) {
+        throw new Error(`No pricing configured for model "${model}" in ${PRICING_FILE}`);
+    }
+    return rates;
+}
+
+// Cost in USD of the given input and output token counts
+function tokenCost(model, { input = 0, output = 0 }) {
+    const rates = getModelPricing(model);
+    return (input / 1000000) * rates.input + (output / 1000000) * rates.output;
+}
+
+// Output tokens billed for one generated image
+function imageOutputTokens(model, variant = 'default') {
+    const table = getModelPricing(model).imageOutputTokens || {};
+    const tokens = table[variant] ?? table.default;
+    if (tokens === undefined) {
+        throw new Error(`No image token count configured for "${model}" (${variant}) in ${PRICING_FILE}`);
+    }
+    return tokens;
+}
+
+module.exports = {
+    getModelPricing,
+    tokenCost,
+    imageOutputTokens
+};
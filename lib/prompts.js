@@ -0,0 +1,222 @@
+const path = require('path');
+const fsSync = require('fs');
+const crypto = require('crypto');
+
+// Prompt templates: the wording of the research, style analysis, generation, refine
+// and text check prompts, kept out of the code so it can be tuned without a restart.
+//
+// Each version is a folder in config/prompts/ (or the folder named by PROMPTS_DIR),
+// e.g. config/prompts/v2/, holding one file per template below. Requests pick a
+// version with promptVersion; without one the version named by PROMPT_VERSION is
+// used, else the highest-numbered one. The files are checked on every use and a
+// version is reloaded when one of them changes, so edits apply to the next
+// generation; an edit that doesn't parse is logged and the version keeps its last
+// good templates.
+//
+// Templates insert values with {{name}} and keep or drop a block with
+// {{#flag}}...{{/flag}} (kept when the flag is set) or {{^flag}}...{{/flag}} (kept
+// when it isn't). A tag alone on its line takes the line with it. Inserted values
+// are never read as tags, so research that mentions {{concept}} stays as written.
+//
+// Generations record the version and a hash of its files, so images made from an
+// edited version can be told apart. Each template also has a hash of its own, for
+// results stored per prompt such as research notes.
+
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(__dirname, '..', 'config', 'prompts');
+
+// Template files and the names they may use
+const TEMPLATES = {
+    research: { file: 'research.txt', names: ['concept'] },
+    styleAnalysis: { file: 'style-analysis.txt', names: ['concept'] },
+    styleOnlyAnalysis: { file: 'style-only-analysis.txt', names: ['concept'] },
+    defaultStyle: { file: 'default-style.txt', names: [] },
+    generation: {
+        file: 'generation.txt',
+        names: ['concept', 'conceptUpper', 'styleGuide', 'research', 'relatedNames', 'uploadedNames', 'unique', 'styleOnly', 'uploaded', 'singleUpload']
+    },
+    refine: { file: 'refine.txt', names: ['concept', 'instruction'] },
+    textCheck: { file: 'text-check.txt', names: [] }
+};
+
+const VERSION_PATTERN = /^[\w.-]{1,50}$/;
+const TAG_PATTERN = /\{\{([#^/]?)(\w+)\}\}/g;
+const STANDALONE_SECTION_TAG = /^[ \t]*(\{\{[#^/]\w+\}\})[ \t]*(\r?\n|$)/gm;
+
+class PromptTemplateError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'PromptTemplateError';
+        this.status = status;
+    }
+}
+
+// Parse a template into text, value and section nodes, rejecting unknown names and
+// unbalanced sections
+function parseTemplate(source, names) {
+    const root = { children: [] };
+    const open = [root];
+    let position = 0;
+    source = source.replace(STANDALONE_SECTION_TAG, '$1');
+
+    for (const match of source.matchAll(TAG_PATTERN)) {
+        const [tag, kind, name] = match;
+        const current = open[open.length - 1];
+        if (match.index > position) {
+            current.children.push({ text: source.slice(position, match.index) });
+        }
+        position = match.index + tag.length;
+
+        if (!names.includes(name)) {
+            throw new Error(`unknown name ${tag} (known: ${names.join(', ') || 'none'})`);
+        }
+        if (kind === '/') {
+            if (current === root || current.name !== name) {
+                throw new Error(`${tag} closes ${current === root ? 'nothing' : `{{${current.inverted ? '^' : '#'}${current.name}}}`}`);
+            }
+            open.pop();
+        } else if (kind) {
+            const section = { name, inverted: kind === '^', children: [] };
+            current.children.push(section);
+            open.push(section);
+        } else {
+            current.children.push({ value: name });
+        }
+    }
+    if (open.length > 1) {
+        throw new Error(`{{${open[open.length - 1].name}}} is never closed`);
+    }
+    if (position < source.length) {
+        root.children.push({ text: source.slice(position) });
+    }
+    return root.children;
+}
+
+function renderNodes(nodes, values) {
+    return nodes.map(node => {
+        if (node.text !== undefined) {
+            return node.text;
+        }
+        if (node.value !== undefined) {
+            if (values[node.value] === undefined || values[node.value] === null) {
+                throw new Error(`No value for {{${node.value}}}`);
+            }
+            return String(values[node.value]);
+        }
+        return Boolean(values[node.name]) !== node.inverted ? renderNodes(node.children, values) : '';
+    }).join('');
+}
+
+// Loaded versions by name: { version, hash, signature, templates, templateHashes }
+const versions = new Map();
+// Signature of the files of versions that failed to load, so each failure is logged once
+const failed = new Map();
+
+// Modification times and sizes of a version's files; changes when any of them does
+function versionSignature(dir) {
+    return Object.values(TEMPLATES).map(({ file }) => {
+        try {
+            const stats = fsSync.statSync(path.join(dir, file));
+            return `${stats.mtimeMs}:${stats.size}`;
+        } catch (error) {
+            return 'missing';
+        }
+    }).join(',');
+}
+
+function loadVersion(version, signature) {
+    const dir = path.join(PROMPTS_DIR, version);
+    const hash = crypto.createHash('sha256');
+    const templates = {};
+    const templateHashes = {};
+    for (const [name, { file, names }] of Object.entries(TEMPLATES)) {
+        const source = fsSync.readFileSync(path.join(dir, file), 'utf8').replace(/\r?\n$/, '');
+        try {
+            templates[name] = parseTemplate(source, names);
+        } catch (error) {
+            throw new Error(`${file}: ${error.message}`);
+        }
+        hash.update(`${file}\n${source}\n`);
+        templateHashes[name] = crypto.createHash('sha256').update(source).digest('hex').slice(0, 12);
+    }
+    return { version, hash: hash.digest('hex').slice(0, 12), signature, templates, templateHashes };
+}
+
+// Load new and changed version folders, keeping a version's last good templates
+// when its files don't load
+function loadedVersions() {
+    let folders = [];
+    try {
+        folders = fsSync.readdirSync(PROMPTS_DIR, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && VERSION_PATTERN.test(entry.name))
+            .map(entry => entry.name);
+    } catch (error) {
+        console.error(`Cannot read prompt templates in ${PROMPTS_DIR}:`, error.message);
+    }
+
+    for (const version of [...versions.keys()].filter(version => !folders.includes(version))) {
+        versions.delete(version);
+    }
+    for (const version of folders) {
+        const signature = versionSignature(path.join(PROMPTS_DIR, version));
+        if (versions.get(version)?.signature === signature || failed.get(version) === signature) {
+            continue;
+        }
+        try {
+            const loadedVersion = loadVersion(version, signature);
+            if (versions.get(version)?.hash !== loadedVersion.hash) {
+                console.log(`Loaded prompt templates ${version} (${loadedVersion.hash})`);
+            }
+            versions.set(version, loadedVersion);
+            failed.delete(version);
+        } catch (error) {
+            console.error(`Prompt templates ${version} not loaded${versions.has(version) ? ', keeping the previous version' : ''}: ${error.message}`);
+            failed.set(version, signature);
+        }
+    }
+    return versions;
+}
+
+// The version used when a request doesn't name one, or null if none loaded
+function defaultPromptVersion() {
+    const names = [...loadedVersions().keys()];
+    if (process.env.PROMPT_VERSION && names.includes(process.env.PROMPT_VERSION)) {
+        return process.env.PROMPT_VERSION;
+    }
+    return names.sort((a, b) => a.localeCompare(b, undefined, { numeric: true })).pop() || null;
+}
+
+function hasPromptVersion(version) {
+    return loadedVersions().has(version);
+}
+
+// The templates of a version, or of the default version. A generation loads them
+// once, so an edit made while it runs doesn't mix two versions.
+function getPromptTemplates(version = null) {
+    const name = version || defaultPromptVersion();
+    const templates = name ? loadedVersions().get(name) : null;
+    if (!templates) {
+        throw new PromptTemplateError(name ? `Unknown prompt template version: ${name}` : `No prompt templates in ${PROMPTS_DIR}`, name ? 400 : 500);
+    }
+    return templates;
+}
+
+// Render one template of a loaded version with these values
+function renderPrompt(promptTemplates, template, values = {}) {
+    return renderNodes(promptTemplates.templates[template], values);
+}
+
+// Every loaded version as { version, hash, default }
+function listPromptTemplates() {
+    const defaultVersion = defaultPromptVersion();
+    return [...loadedVersions().values()]
+        .map(({ version, hash }) => ({ version, hash, default: version === defaultVersion }))
+        .sort((a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }));
+}
+
+module.exports = {
+    PromptTemplateError,
+    hasPromptVersion,
+    getPromptTemplates,
+    renderPrompt,
+    listPromptTemplates
+};
@@ -0,0 +1,184 @@
+const sharp = require('sharp');
+
+// Quality checks for a freshly generated robot, run on the provider's full image
+// before it is saved:
+//   background - the top and upper sides of the frame are (mostly) one flat colour,
+//                as in a studio shot. The robots are bust shots, so the lower part
+//                of the frame is expected to be filled.
+//   framing    - the robot is roughly centred, fills a sensible share of the frame,
+//                its head isn't cut off by the top edge and nothing of it falls
+//                outside the centred square the gallery thumbnail keeps
+//   text       - no visible lettering; this needs a vision model, so the server
+//                asks one with the textCheck prompt template (lib/prompts.js) and reads
+//                the answer with parseTextCheck
+//
+// Read from the environment:
+//   QUALITY_RETRIES  - default number of regenerations for an image that fails (default 0)
+
+const SAMPLE_SIZE = 256;
+// Width of the border band used to find the background colour, as a share of the image
+const BORDER_SHARE = 0.04;
+// A pixel within this distance (largest channel difference) of the background colour is background
+const BACKGROUND_TOLERANCE = 24;
+// ...and one further than this is part of the subject (soft shadows fall in between)
+const SUBJECT_TOLERANCE = 48;
+const MIN_UNIFORM_BORDER = 0.9;
+const MAX_CENTER_OFFSET = 0.15;
+const MIN_COVERAGE = 0.1;
+const MAX_QUALITY_RETRIES = 3;
+const TEXT_CHECK_SIZE = 512;
+
+function defaultQualityRetries() {
+    const value = Number(process.env.QUALITY_RETRIES);
+    return Number.isInteger(value) && value > 0 ? Math.min(value, MAX_QUALITY_RETRIES) : 0;
+}
+
+function colorDistance(data, offset, color) {
+    return Math.max(
+        Math.abs(data[offset] - color[0]),
+        Math.abs(data[offset + 1] - color[1]),
+        Math.abs(data[offset + 2] - color[2])
+    );
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Background uniformity and subject framing, measured on a downscaled copy.
+// Resolves with { background, framing } where each has `passed` and its measurements.
+async function checkComposition(imageBuffer) {
+    const { width: originalWidth, height: originalHeight } = await sharp(imageBuffer).metadata();
+    const { data, info } = await sharp(imageBuffer)
+        .flatten({ background: '#ffffff' })
+        .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'inside' })
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    const { width, height } = info;
+    const band = Math.max(1, Math.round(Math.min(width, height) * BORDER_SHARE));
+
+    // Background colour: the per-channel median of the top band and the upper half of the side bands
+    const border = [];
+    for (let y = 0; y < height / 2; y++) {
+        for (let x = 0; x < width; x++) {
+            if (x < band || y < band || x >= width - band) {
+                border.push((y * width + x) * 3);
+            }
+        }
+    }
+    const color = [0, 1, 2].map(channel => median(border.map(offset => data[offset + channel])));
+    const uniformity = border.filter(offset => colorDistance(data, offset, color) <= BACKGROUND_TOLERANCE).length / border.length;
+
+    const background = {
+        passed: uniformity >= MIN_UNIFORM_BORDER,
+        uniformity: Number(uniformity.toFixed(3)),
+        color: `#${color.map(value => value.toString(16).padStart(2, '0')).join('')}`
+    };
+
+    // Subject bounding box, ignoring rows and columns with only a stray pixel or two
+    const rowCounts = new Array(height).fill(0);
+    const columnCounts = new Array(width).fill(0);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (colorDistance(data, (y * width + x) * 3, color) > SUBJECT_TOLERANCE) {
+                rowCounts[y]++;
+                columnCounts[x]++;
+            }
+        }
+    }
+    const rows = rowCounts.map((count, index) => (count > 2 ? index : -1)).filter(index => index >= 0);
+    const columns = columnCounts.map((count, index) => (count > 2 ? index : -1)).filter(index => index >= 0);
+
+    if (rows.length === 0 || columns.length === 0) {
+        return { background, framing: { passed: false, reason: 'No subject found' } };
+    }
+
+    const box = { left: columns[0], top: rows[0], right: columns[columns.length - 1], bottom: rows[rows.length - 1] };
+
+    // A head touching the top edge is cut off. The gallery thumbnail keeps only the
+    // centred square of a non-square image, so anything outside that is lost too.
+    const square = Math.min(width, height);
+    const keptLeft = Math.floor((width - square) / 2);
+    const keptTop = Math.floor((height - square) / 2);
+    const croppedEdges = [];
+    if (box.top === 0 || box.top < keptTop) croppedEdges.push('top');
+    if (box.left < keptLeft) croppedEdges.push('left');
+    if (box.right > keptLeft + square - 1) croppedEdges.push('right');
+    if (keptTop > 0 && box.bottom > keptTop + square - 1) croppedEdges.push('bottom');
+
+    const centerOffset = Math.max(
+        Math.abs((box.left + box.right) / 2 - width / 2) / width,
+        Math.abs((box.top + box.bottom) / 2 - height / 2) / height
+    );
+    const coverage = ((box.right - box.left + 1) * (box.bottom - box.top + 1)) / (width * height);
+
+    const framing = {
+        passed: croppedEdges.length === 0 && centerOffset <= MAX_CENTER_OFFSET && coverage >= MIN_COVERAGE,
+        croppedEdges,
+        centerOffset: Number(centerOffset.toFixed(3)),
+        coverage: Number(coverage.toFixed(3)),
+        aspectRatio: Number((originalWidth / originalHeight).toFixed(3))
+    };
+    return { background, framing };
+}
+
+// The image sent with the text check prompt, as a data URL
+async function textCheckImage(imageBuffer) {
+    const png = await sharp(imageBuffer)
+        .resize(TEXT_CHECK_SIZE, TEXT_CHECK_SIZE, { fit: 'inside' })
+        .png()
+        .toBuffer();
+    return `data:image/png;base64,${png.toString('base64')}`;
+}
+
+// Read the vision model's answer to the text check prompt. Resolves with
+// { passed, found } or { passed: null, error } when the answer can't be read.
+function parseTextCheck(answer) {
+    const json = String(answer).match(/\{[\s\S]*\}/);
+    try {
+        const { text, found = '' } = JSON.parse(json ? json[0] : '');
+        if (typeof text !== 'boolean') {
+            throw new Error('missing "text" flag');
+        }
+        return { passed: !text, found: text ? String(found) : '' };
+    } catch (error) {
+        return { passed: null, error: `Unreadable answer from the vision model: ${String(answer).slice(0, 100)}` };
+    }
+}
+
+// Combine the individual checks into a verdict. A check that couldn't run
+// (passed: null) doesn't fail the image.
+function qualityVerdict(checks) {
+    const failures = Object.entries(checks)
+        .filter(([, check]) => check.passed === false)
+        .map(([name]) => name);
+    return { passed: failures.length === 0, failures, checks };
+}
+
+// Instructions added to the prompt when regenerating after failed checks
+function qualityRetryNotes(verdict) {
+    const { checks } = verdict;
+    const notes = [];
+    if (checks.text?.passed === false) {
+        notes.push(`The previous attempt had visible text${checks.text.found ? ` ("${checks.text.found}")` : ''}. There must be NO text, letters or numbers anywhere.`);
+    }
+    if (checks.background?.passed === false) {
+        notes.push('The previous attempt had a busy background. Use a plain, uniform white studio background.');
+    }
+    if (checks.framing?.passed === false) {
+        notes.push('The previous attempt was cropped or off-centre. Show the whole head and upper body of the robot centred in a square frame, with clear space above the head and at the sides.');
+    }
+    return notes;
+}
+
+module.exports = {
+    MAX_QUALITY_RETRIES,
+    defaultQualityRetries,
+    textCheckImage,
+    checkComposition,
+    parseTextCheck,
+    qualityVerdict,
+    qualityRetryNotes
+};
@@ -0,0 +1,231 @@
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { fileStem } = require('./versions');
+const { libraryFiles } = require('./library');
+
+// Reference image selection for a generation. Every run has a seed: the caller's,
+// else one derived from the prompt (see defaultSeed). It drives the style references picked for unique concepts
+// (and is handed to providers that accept a seed), so a run with the same seed,
+// prompt and library picks the same references. Callers can also pin the exact
+// reference files to use, and add one-off uploaded images (sketches, logos,
+// mascots) kept in Data/uploads/.
+//
+// The reference mode says how the references are weighted in the prompt:
+//   auto     - base robots found for the prompt keep their identity, anything else is style only
+//   style    - every reference is style only and the design must be new
+//   identity - the chosen references (or the found base robots) and the uploads are
+//              the designs to follow
+
+const ROOT_DIR = path.join(__dirname, '..');
+const UPLOADS_DIR = path.join(ROOT_DIR, 'Data', 'uploads');
+
+// Folders a pinned reference may come from, searched in this order for a bare filename
+const PINNABLE_DIRS = ['Reference Images', 'Secondary Reference Images', 'Generated', 'Png', path.join('Data', 'uploads')];
+
+// Metadata source names for the reference folders
+const SOURCES = {
+    'Reference Images': 'reference',
+    'Secondary Reference Images': 'secondary_reference',
+    'Generated': 'generated',
+    'Png': 'png',
+    [path.join('Data', 'uploads')]: 'upload'
+};
+
+const IMAGE_PATTERN = /\.(png|jpg|jpeg)$/i;
+// Uploads are saved as <name>_<8 hex digits>.png
+const UPLOAD_PATTERN = /^[a-z0-9-]+_[0-9a-f]{8}\.png$/;
+const UPLOAD_SIZE = 1024;
+const MAX_SEED = 2 ** 31 - 1;
+const MAX_UPLOADS = 10;
+// A replay pins the references and uploads it recorded
+const MAX_PINNED_REFERENCES = 10 + MAX_UPLOADS;
+const REFERENCE_MODES = ['auto', 'style', 'identity'];
+
+class ReferenceSelectionError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'ReferenceSelectionError';
+        this.status = status;
+    }
+}
+
+function createSeed() {
+    return crypto.randomInt(0, MAX_SEED + 1);
+}
+
+// Seed derived from the prompt text, so the same prompt repeats its references and,
+// with the mock, its image
+function promptSeed(prompt) {
+    return crypto.createHash('sha256').update(prompt).digest().readUInt32LE(0) % (MAX_SEED + 1);
+}
+
+// The seed for a run without one: the prompt's, or a random one for a forced new
+// version, which should differ from the versions before it
+function defaultSeed(prompt, force = false) {
+    return force ? createSeed() : promptSeed(prompt);
+}
+
+function isValidSeed(seed) {
+    return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+}
+
+// Deterministic pseudo-random generator (mulberry32)
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Fisher-Yates shuffle of a copy of items, driven by the seed
+function seededShuffle(items, seed) {
+    const random = seededRandom(seed);
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+// Up to `limit` style references from Reference Images/, picked by the seed.
+// The library index lists files sorted, so the pick doesn't depend on directory listing order.
+async function loadReferenceImages(seed, limit = 10) {
+    const refDir = path.join(ROOT_DIR, 'Reference Images');
+    try {
+        const imageFiles = await libraryFiles('reference');
+        const selected = seededShuffle(imageFiles, seed).slice(0, Math.min(limit, imageFiles.length));
+
+        console.log(`Selected ${selected.length} reference images from ${imageFiles.length} total with seed ${seed}`);
+        return selected.map(file => path.join(refDir, file));
+    } catch (error) {
+        console.error('Error loading reference images:', error);
+        return [];
+    }
+}
+
+async function isFile(filePath) {
+    try {
+        return (await fs.stat(filePath)).isFile();
+    } catch {
+        return false;
+    }
+}
+
+// Resolve pinned references to absolute paths. Each entry is either a path
+// relative to the project, as stored in metadata ("Reference Images/Python.jpeg"),
+// or a bare filename looked up in PINNABLE_DIRS.
+async function resolvePinnedReferences(references) {
+    const resolved = [];
+    for (const reference of references) {
+        const relative = path.normalize(reference);
+        const dir = path.dirname(relative);
+        const candidates = dir === '.'
+            ? PINNABLE_DIRS.map(folder => path.join(ROOT_DIR, folder, relative))
+            : PINNABLE_DIRS.includes(dir) ? [path.join(ROOT_DIR, relative)] : [];
+
+        let found = null;
+        for (const candidate of candidates) {
+            if (IMAGE_PATTERN.test(candidate) && await isFile(candidate)) {
+                found = candidate;
+                break;
+            }
+        }
+        if (!found) {
+            throw new ReferenceSelectionError(`Reference image not found: ${reference}`, 400);
+        }
+        resolved.push(found);
+    }
+    return resolved;
+}
+
+// Path of the library robot chosen as a new robot's parent. Uploads are pinnable
+// but aren't robots, so they can't be parents.
+async function resolveParentRobot(reference) {
+    const [found] = await resolvePinnedReferences([reference]);
+    if (path.dirname(found) === UPLOADS_DIR) {
+        throw new ReferenceSelectionError(`Uploaded images cannot be a parent robot: ${reference}`, 400);
+    }
+    return found;
+}
+
+// Store an uploaded image as a PNG of at most UPLOAD_SIZE pixels, named after the
+// original file. Resolves with { id, name, path, url }; the id is what a generation
+// request lists under `uploads`.
+async function saveUpload(buffer, originalName) {
+    try {
+        await sharp(buffer).metadata();
+    } catch (error) {
+        throw new ReferenceSelectionError(`Not an image: ${originalName}`, 400);
+    }
+
+    const name = path.basename(originalName, path.extname(originalName))
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'upload';
+    const id = `${name}_${crypto.randomBytes(4).toString('hex')}.png`;
+
+    await fs.mkdir(UPLOADS_DIR, { recursive: true });
+    await sharp(buffer)
+        .rotate()
+        .resize(UPLOAD_SIZE, UPLOAD_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .png()
+        .toFile(path.join(UPLOADS_DIR, id));
+
+    console.log(`Saved uploaded reference ${originalName} as ${id}`);
+    return { id, name, path: path.join('Data', 'uploads', id), url: `/uploads/${id}` };
+}
+
+// Absolute paths of uploads listed by id
+async function resolveUploads(ids) {
+    const resolved = [];
+    for (const id of ids) {
+        const uploadPath = path.join(UPLOADS_DIR, id);
+        if (!UPLOAD_PATTERN.test(id) || !await isFile(uploadPath)) {
+            throw new ReferenceSelectionError(`Uploaded image not found: ${id}`, 400);
+        }
+        resolved.push(uploadPath);
+    }
+    return resolved;
+}
+
+// Reference images described as base robots ({ name, path, source, reason }) for
+// the identity mode. Uploads are named after their original file.
+function describeReferences(referenceImages, reason = 'selected') {
+    return referenceImages.map(imagePath => {
+        const dir = path.relative(ROOT_DIR, path.dirname(imagePath));
+        const source = SOURCES[dir] || 'reference';
+        const stem = path.basename(imagePath, path.extname(imagePath));
+        let name = stem;
+        if (source === 'upload') {
+            name = stem.replace(/_[0-9a-f]{8}$/, '');
+        } else if (source === 'generated') {
+            name = fileStem(imagePath);
+        }
+        return { name, path: imagePath, source, reason };
+    });
+}
+
+module.exports = {
+    UPLOADS_DIR,
+    MAX_SEED,
+    MAX_PINNED_REFERENCES,
+    MAX_UPLOADS,
+    REFERENCE_MODES,
+    ReferenceSelectionError,
+    createSeed,
+    defaultSeed,
+    isValidSeed,
+    loadReferenceImages,
+    resolvePinnedReferences,
+    resolveParentRobot,
+    saveUpload,
+    resolveUploads,
+    describeReferences
+};
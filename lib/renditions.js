@@ -0,0 +1,251 @@
+const path = require('path');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const sharp = require('sharp');
+const { removeBackground } = require('./background');
+
+// Saved images and their renditions.
+//
+// Every saved robot keeps these in Generated/:
+//   <name>.jpg                      - 256x256 JPEG used by the gallery, cache and references
+//   originals/<name>.<ext>          - the provider output, byte for byte
+//   renditions/<name>/<size>.<fmt>  - resized/converted copies, made on save for the
+//                                     "pregenerate" list and on demand for the rest
+//   transparent/<name>.png|.webp    - optional full-size copies with the white
+//                                     background removed
+//
+// Allowed sizes and formats and the background removal thresholds come from
+// config/renditions.json (or RENDITIONS_FILE).
+
+const RENDITIONS_FILE = process.env.RENDITIONS_FILE || path.join(__dirname, '..', 'config', 'renditions.json');
+
+const GENERATED_DIR = path.join(__dirname, '..', 'Generated');
+const ORIGINALS_DIR = path.join(GENERATED_DIR, 'originals');
+const RENDITIONS_DIR = path.join(GENERATED_DIR, 'renditions');
+const TRANSPARENT_DIR = path.join(GENERATED_DIR, 'transparent');
+
+const GALLERY_SIZE = 256;
+const GALLERY_QUALITY = 90;
+const ORIGINAL_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+// Formats an original is saved in as returned: those the library folders index, so a
+// promoted original stays a library image. Others are saved as PNG; WebP originals
+// kept before that are still found.
+const KEPT_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+
+class RenditionError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'RenditionError';
+        this.status = status;
+    }
+}
+
+let config = null;
+
+function loadRenditionConfig() {
+    if (!config) {
+        config = JSON.parse(fsSync.readFileSync(RENDITIONS_FILE, 'utf8'));
+        console.log(`Loaded ${config.sizes.length} rendition sizes and ${config.formats.length} formats from ${RENDITIONS_FILE}`);
+    }
+    return config;
+}
+
+function stemOf(filename) {
+    const name = path.basename(filename);
+    return path.basename(name, path.extname(name));
+}
+
+async function exists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Path of the kept original for a gallery file, or null for images saved before originals were kept
+async function findOriginal(filename) {
+    for (const extension of ORIGINAL_EXTENSIONS) {
+        const candidate = path.join(ORIGINALS_DIR, `${stemOf(filename)}${extension}`);
+        if (await exists(candidate)) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+// Best available source for a gallery file: its original, else the gallery JPEG itself
+async function sourceImagePath(filename) {
+    return await findOriginal(filename) || path.join(GENERATED_DIR, path.basename(filename));
+}
+
+function renditionDir(filename) {
+    return path.join(RENDITIONS_DIR, stemOf(filename));
+}
+
+function transparentPath(filename, format) {
+    return path.join(TRANSPARENT_DIR, `${stemOf(filename)}.${format}`);
+}
+
+// Public URLs of a gallery file's transparent variant
+function transparentUrls(filename) {
+    return {
+        png: `/generated/transparent/${stemOf(filename)}.png`,
+        webp: `/generated/transparent/${stemOf(filename)}.webp`
+    };
+}
+
+// Save PNG and WebP copies of a gallery file with the background removed (made
+// from the original when one was kept). Existing variants are reused.
+async function saveTransparentVariant(filename) {
+    const name = path.basename(filename);
+    if (await exists(transparentPath(name, 'png')) && await exists(transparentPath(name, 'webp'))) {
+        return transparentUrls(name);
+    }
+
+    const source = await sourceImagePath(name);
+    if (!await exists(source)) {
+        throw new RenditionError(`Image not found: ${name}`, 404);
+    }
+
+    const png = await removeBackground(source, loadRenditionConfig().background);
+    await fs.mkdir(TRANSPARENT_DIR, { recursive: true });
+    await fs.writeFile(transparentPath(name, 'png'), png);
+    await sharp(png).webp({ quality: 90, alphaQuality: 100 }).toFile(transparentPath(name, 'webp'));
+
+    console.log(`Saved transparent variant of ${name}`);
+    return transparentUrls(name);
+}
+
+// Check a requested size/format against the configuration. size may be omitted
+// (keep the source's dimensions); format defaults to PNG.
+function parseRenditionRequest(size, format = 'png', transparent = false) {
+    const { sizes, formats } = loadRenditionConfig();
+    const normalizedFormat = String(format).toLowerCase() === 'jpg' ? 'jpeg' : String(format).toLowerCase();
+
+    if (!formats.includes(normalizedFormat)) {
+        throw new RenditionError(`Unsupported format: ${format} (allowed: ${formats.join(', ')})`, 400);
+    }
+    if (transparent && normalizedFormat === 'jpeg') {
+        throw new RenditionError('JPEG has no transparency, use png, webp or avif', 400);
+    }
+    if (size === undefined || size === '') {
+        return { size: null, format: normalizedFormat };
+    }
+
+    const pixels = Number(size);
+    if (!sizes.includes(pixels)) {
+        throw new RenditionError(`Unsupported size: ${size} (allowed: ${sizes.join(', ')})`, 400);
+    }
+    return { size: pixels, format: normalizedFormat };
+}
+
+async function renderRendition(sourcePath, size, format) {
+    const quality = loadRenditionConfig().quality || {};
+    let image = sharp(sourcePath);
+    if (size) {
+        image = image.resize(size, size, { fit: 'cover' });
+    }
+    return image.toFormat(format, quality[format] ? { quality: quality[format] } : {}).toBuffer();
+}
+
+// Path of a rendition of a gallery file, rendering and caching it on first request.
+// transparent renders from the background-removed variant, creating it if needed.
+async function getRendition(filename, size, format, transparent = false) {
+    const request = parseRenditionRequest(size, format, transparent);
+    const name = path.basename(filename);
+    if (!await exists(path.join(GENERATED_DIR, name))) {
+        throw new RenditionError(`Image not found: ${name}`, 404);
+    }
+
+    const target = path.join(renditionDir(name), `${request.size || 'original'}${transparent ? '-transparent' : ''}.${request.format}`);
+    if (await exists(target)) {
+        return target;
+    }
+
+    if (transparent) {
+        await saveTransparentVariant(name);
+    }
+    const source = transparent ? transparentPath(name, 'png') : await sourceImagePath(name);
+    const buffer = await renderRendition(source, request.size, request.format);
+
+    // Write then rename so a concurrent request never serves a half-written file
+    await fs.mkdir(renditionDir(name), { recursive: true });
+    const temporary = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(temporary, buffer);
+    await fs.rename(temporary, target);
+    console.log(`Rendered ${name} at ${request.size || 'original size'} as ${request.format}`);
+    return target;
+}
+
+// Save a provider image: the original untouched, the 256x256 gallery JPEG and the
+// pregenerated renditions. Resolves with the gallery filename.
+async function saveGeneratedImage(imageBuffer, filenameBase) {
+    const filename = `${filenameBase}.jpg`;
+    const { format } = await sharp(imageBuffer).metadata();
+    const originalExtension = format === 'jpeg' ? '.jpg' : `.${format}`;
+
+    await fs.mkdir(ORIGINALS_DIR, { recursive: true });
+    if (KEPT_EXTENSIONS.includes(originalExtension)) {
+        await fs.writeFile(path.join(ORIGINALS_DIR, `${filenameBase}${originalExtension}`), imageBuffer);
+    } else {
+        // Anything else (e.g. WebP) is converted losslessly so the library can index it
+        await sharp(imageBuffer).png().toFile(path.join(ORIGINALS_DIR, `${filenameBase}.png`));
+    }
+
+    await sharp(imageBuffer)
+        .resize(GALLERY_SIZE, GALLERY_SIZE, { fit: 'cover', withoutEnlargement: true })
+        .jpeg({ quality: GALLERY_QUALITY })
+        .toFile(path.join(GENERATED_DIR, filename));
+
+    for (const rendition of loadRenditionConfig().pregenerate || []) {
+        try {
+            await getRendition(filename, rendition.size, rendition.format);
+        } catch (error) {
+            // A missing rendition is rendered again on demand, so don't fail the save
+            console.error(`Failed to pregenerate ${rendition.size}px ${rendition.format} for ${filename}:`, error);
+        }
+    }
+
+    return filename;
+}
+
+// Move a gallery file's original and renditions along with a rename
+async function moveDerivedFiles(oldFilename, newFilename) {
+    const original = await findOriginal(oldFilename);
+    if (original) {
+        await fs.rename(original, path.join(ORIGINALS_DIR, `${stemOf(newFilename)}${path.extname(original)}`));
+    }
+    if (await exists(renditionDir(oldFilename))) {
+        await fs.rm(renditionDir(newFilename), { recursive: true, force: true });
+        await fs.rename(renditionDir(oldFilename), renditionDir(newFilename));
+    }
+    for (const format of ['png', 'webp']) {
+        if (await exists(transparentPath(oldFilename, format))) {
+            await fs.rename(transparentPath(oldFilename, format), transparentPath(newFilename, format));
+        }
+    }
+}
+
+async function removeDerivedFiles(filename) {
+    const original = await findOriginal(filename);
+    if (original) {
+        await fs.unlink(original);
+    }
+    await fs.rm(renditionDir(filename), { recursive: true, force: true });
+    await fs.rm(transparentPath(filename, 'png'), { force: true });
+    await fs.rm(transparentPath(filename, 'webp'), { force: true });
+}
+
+module.exports = {
+    RenditionError,
+    findOriginal,
+    sourceImagePath,
+    transparentUrls,
+    getRendition,
+    saveGeneratedImage,
+    saveTransparentVariant,
+    moveDerivedFiles,
+    removeDerivedFiles
+};
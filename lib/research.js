@@ -0,0 +1,125 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { matchKey, resolveAlias } = require('./concepts');
+
+// Research notes per concept, kept in Data/research-notes.json so a concept is only
+// researched once. Concepts are matched like robot names, after resolving aliases,
+// so "TS", "typescript" and "TypeScript" share a note. Related concepts don't: a
+// concept's family (config/concepts.json) shapes its base robots, but its research
+// describes another concept, so Django is researched on its own rather than reusing
+// Python's note. Notes can be edited before a generation; edited notes are never
+// replaced by new research unless asked to.
+//
+// Notes are kept per research prompt, keyed by the hash of the research template
+// (lib/prompts.js) they were written for, like the style cache keys on its analysis
+// prompt: a template version with different research wording researches the concept
+// again, and edits apply to the version they were made under.
+//
+// Notes written by an offline provider (the mock's canned text) are only reused by
+// offline providers.
+
+const DATA_DIR = path.join(__dirname, '..', 'Data');
+const NOTES_FILE = path.join(DATA_DIR, 'research-notes.json');
+
+const MAX_NOTE_LENGTH = 8000;
+
+class ResearchNoteError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'ResearchNoteError';
+        this.status = status;
+    }
+}
+
+function noteKey(concept) {
+    return matchKey(resolveAlias(concept.trim()));
+}
+
+// Key of a concept's note for one research prompt. matchKey never contains ":".
+function noteId(concept, promptHash) {
+    return `${noteKey(concept)}:${promptHash}`;
+}
+
+async function readNotes() {
+    try {
+        return JSON.parse(await fs.readFile(NOTES_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+    }
+}
+
+// Generations run in parallel, so updates are queued to avoid losing one
+let noteUpdates = Promise.resolve();
+
+function updateNotes(change) {
+    noteUpdates = noteUpdates.catch(() => {}).then(async () => {
+        const notes = await readNotes();
+        const result = change(notes);
+        await fs.mkdir(DATA_DIR, { recursive: true });
+        await fs.writeFile(NOTES_FILE, JSON.stringify(notes, null, 2));
+        return result;
+    });
+    return noteUpdates;
+}
+
+// The stored note for a concept and research prompt hash, or null. offline says
+// whether the caller is an offline provider, which may reuse offline notes.
+async function findResearchNote(concept, { promptHash, offline = false }) {
+    const notes = await readNotes();
+    const key = noteId(concept, promptHash);
+    const note = Object.hasOwn(notes, key) ? notes[key] : null;
+    if (!note || (note.offline && !offline)) {
+        return null;
+    }
+    return note;
+}
+
+// Store research for a concept, written for the research prompt of promptVersion
+// (hashed as promptHash). edited marks text written or changed by a user.
+async function saveResearchNote(concept, text, { promptHash, promptVersion, provider = null, offline = false, edited = false }) {
+    if (typeof text !== 'string' || !text.trim() || text.length > MAX_NOTE_LENGTH) {
+        throw new ResearchNoteError(`Research notes must be 1-${MAX_NOTE_LENGTH} characters of text`, 400);
+    }
+    if (!noteKey(concept)) {
+        throw new ResearchNoteError('A concept is required', 400);
+    }
+    const key = noteId(concept, promptHash);
+
+    return updateNotes(notes => {
+        const now = new Date().toISOString();
+        const previous = Object.hasOwn(notes, key) ? notes[key] : null;
+        notes[key] = {
+            concept: previous ? previous.concept : concept.trim(),
+            text: text.trim(),
+            provider: edited ? (previous ? previous.provider : null) : provider,
+            offline: edited ? false : offline,
+            edited,
+            promptVersion,
+            promptHash,
+            createdAt: previous ? previous.createdAt : now,
+            updatedAt: now
+        };
+        console.log(`Saved ${edited ? 'edited ' : ''}research notes for ${notes[key].concept}`);
+        return notes[key];
+    });
+}
+
+// Forget a concept's note for a research prompt. Resolves with whether there was one.
+function deleteResearchNote(concept, promptHash) {
+    return updateNotes(notes => {
+        const key = noteId(concept, promptHash);
+        if (!Object.hasOwn(notes, key)) {
+            return false;
+        }
+        delete notes[key];
+        return true;
+    });
+}
+
+module.exports = {
+    ResearchNoteError,
+    findResearchNote,
+    saveResearchNote,
+    deleteResearchNote
+};
@@ -0,0 +1,127 @@
+const path = require('path');
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const { listLibrary } = require('./library');
+
+// Perceptual similarity between a new robot and every robot already in the library
+// (both reference tiers, Png/ and Generated/). Images are compared by a 64-bit DCT
+// perceptual hash; the score is the fraction of matching bits. Copies and re-encodes
+// of a robot score 0.95-1, different robots in the library around 0.7 and never above
+// 0.91. Hashes are cached per file until it changes.
+//
+// Read from the environment:
+//   SIMILARITY_THRESHOLD  - score at or above which an image is a near-duplicate (default 0.93)
+//   SIMILARITY_RETRIES    - default number of regenerations for a near-duplicate (default 0)
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+const SAMPLE_SIZE = 32;
+const HASH_SIZE = 8;
+const MAX_SIMILARITY_RETRIES = 3;
+// Closest library images reported with each check
+const REPORTED_MATCHES = 3;
+
+const hashCache = new Map();
+
+function similarityThreshold() {
+    const value = Number(process.env.SIMILARITY_THRESHOLD);
+    return value > 0 && value <= 1 ? value : 0.93;
+}
+
+function defaultSimilarityRetries() {
+    const value = Number(process.env.SIMILARITY_RETRIES);
+    return Number.isInteger(value) && value > 0 ? Math.min(value, MAX_SIMILARITY_RETRIES) : 0;
+}
+
+// DCT perceptual hash: the lowest 8x8 frequencies of a 32x32 greyscale copy, one bit
+// per coefficient (above or below their median). Transparency is flattened onto
+// white to match the studio backgrounds.
+async function perceptualHash(input) {
+    const pixels = await sharp(input)
+        .flatten({ background: '#ffffff' })
+        .greyscale()
+        .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    const coefficients = [];
+    for (let u = 0; u < HASH_SIZE; u++) {
+        for (let v = 0; v < HASH_SIZE; v++) {
+            let sum = 0;
+            for (let y = 0; y < SAMPLE_SIZE; y++) {
+                for (let x = 0; x < SAMPLE_SIZE; x++) {
+                    sum += pixels[y * SAMPLE_SIZE + x]
+                        * Math.cos(((2 * y + 1) * u * Math.PI) / (2 * SAMPLE_SIZE))
+                        * Math.cos(((2 * x + 1) * v * Math.PI) / (2 * SAMPLE_SIZE));
+                }
+            }
+            coefficients.push(sum);
+        }
+    }
+
+    // The DC term only says how bright the image is, so it stays out of the median
+    const median = [...coefficients.slice(1)].sort((a, b) => a - b)[Math.floor((coefficients.length - 1) / 2)];
+    return coefficients.map(value => (value > median ? 1 : 0));
+}
+
+function hashSimilarity(a, b) {
+    let matching = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] === b[i]) matching++;
+    }
+    return matching / a.length;
+}
+
+async function cachedHash(filePath) {
+    const { mtimeMs } = await fs.stat(filePath);
+    const cached = hashCache.get(filePath);
+    if (cached && cached.mtimeMs === mtimeMs) {
+        return cached.hash;
+    }
+    const hash = await perceptualHash(filePath);
+    hashCache.set(filePath, { mtimeMs, hash });
+    return hash;
+}
+
+// Every library image with its source, from the library index
+async function listLibraryImages() {
+    return (await listLibrary()).map(entry => ({ source: entry.tier, path: entry.path }));
+}
+
+// Compare an image against the library. Resolves with
+// { score, nearDuplicate, matches: [{ file, source, score }] } where score is the
+// closest match and matches lists the closest few, most similar first.
+async function checkSimilarity(imageBuffer) {
+    const threshold = similarityThreshold();
+    const hash = await perceptualHash(imageBuffer);
+
+    const scored = [];
+    for (const image of await listLibraryImages()) {
+        try {
+            scored.push({
+                file: path.relative(ROOT_DIR, image.path),
+                source: image.source,
+                score: hashSimilarity(hash, await cachedHash(image.path))
+            });
+        } catch (error) {
+            console.error(`Could not hash ${image.path}:`, error.message);
+        }
+    }
+    scored.sort((a, b) => b.score - a.score);
+
+    const score = scored.length > 0 ? scored[0].score : 0;
+    const result = {
+        score,
+        threshold,
+        nearDuplicate: score >= threshold,
+        matches: scored.slice(0, REPORTED_MATCHES)
+    };
+    console.log(`Similarity check: closest is ${scored[0]?.file || 'nothing'} at ${(score * 100).toFixed(1)}%${result.nearDuplicate ? ' - NEAR-DUPLICATE' : ''}`);
+    return result;
+}
+
+module.exports = {
+    MAX_SIMILARITY_RETRIES,
+    defaultSimilarityRetries,
+    checkSimilarity
+};
@@ -0,0 +1,81 @@
+const path = require('path');
+const fsSync = require('fs');
+const { hasProvider, getProvider } = require('../providers');
+
+// Models for the stages of a generation:
+//   research - researches the concept
+//   vision   - analyses the reference style and checks generated images for text
+//   image    - generates the image: the request's `model`
+//
+// config/stages.json (or the file named by STAGES_FILE) sets research and vision to
+// a provider id, or "image" for whichever provider generates the image, so a run can
+// stay on one provider's API. `fallback` is the provider a failed research or vision
+// call is retried with. It is opt-in: with null (the default) the generation goes on
+// without that call's result rather than quietly billing another provider. Requests
+// override the research and vision models with researchModel and visionModel.
+//
+// When the image provider is offline (the mock) the configured models are ignored
+// and every stage runs on it, so nothing reaches the network unless a request asks.
+
+const STAGES_FILE = process.env.STAGES_FILE || path.join(__dirname, '..', 'config', 'stages.json');
+
+// Stage value meaning "the image provider"
+const IMAGE_STAGE = 'image';
+const TEXT_STAGES = ['research', 'vision'];
+
+let stageConfig = null;
+
+function isStageModel(value) {
+    return value === IMAGE_STAGE || hasProvider(value);
+}
+
+function loadStageConfig() {
+    if (!stageConfig) {
+        const { research = IMAGE_STAGE, vision = IMAGE_STAGE, fallback = null } = JSON.parse(fsSync.readFileSync(STAGES_FILE, 'utf8'));
+        for (const [stage, value] of Object.entries({ research, vision })) {
+            if (!isStageModel(value)) {
+                throw new Error(`Unknown ${stage} model "${value}" in ${STAGES_FILE}`);
+            }
+        }
+        if (fallback !== null && !hasProvider(fallback)) {
+            throw new Error(`Unknown fallback model "${fallback}" in ${STAGES_FILE}`);
+        }
+        stageConfig = { research, vision, fallback };
+        console.log(`Loaded stage models from ${STAGES_FILE}: research ${research}, vision ${vision}, fallback ${fallback || 'none'}`);
+    }
+    return stageConfig;
+}
+
+// The provider ids for each stage of a generation with imageModel, e.g.
+// { research: 'google', vision: 'google', image: 'google' }
+function resolveStageModels(imageModel, { researchModel = null, visionModel = null } = {}) {
+    const config = loadStageConfig();
+    const offline = getProvider(imageModel).offline;
+    const overrides = { research: researchModel, vision: visionModel };
+    const models = { image: imageModel };
+    for (const stage of TEXT_STAGES) {
+        const value = overrides[stage] || (offline ? IMAGE_STAGE : config[stage]);
+        models[stage] = value === IMAGE_STAGE ? imageModel : value;
+    }
+    return models;
+}
+
+// The provider a failed research or vision call on `model` is retried with, or null.
+// Offline providers are never retried online.
+function stageFallback(model) {
+    const { fallback } = loadStageConfig();
+    return fallback && fallback !== model && !getProvider(model).offline ? fallback : null;
+}
+
+// The configured stage models, for the UI
+function describeStageConfig() {
+    return { ...loadStageConfig() };
+}
+
+module.exports = {
+    IMAGE_STAGE,
+    isStageModel,
+    resolveStageModels,
+    stageFallback,
+    describeStageConfig
+};
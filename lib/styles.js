@@ -0,0 +1,151 @@
+const path = require('path');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const crypto = require('crypto');
+
+// Style guides for the generation prompt.
+//
+// Style analysis cache: the vision model's analysis of a reference set is stored in
+// Data/style-cache.json, keyed by a hash of the images' contents, the provider that
+// analysed them and the analysis prompt it was asked. The same references are then
+// never paid for twice; editing or replacing an image, or the prompt template,
+// changes the key.
+//
+// Style profiles: named style guides (e.g. "house style", "retro") a request can
+// select instead of analysing its references. They are stored in
+// Data/style-profiles.json, which starts as a copy of config/style-profiles.json
+// (or the file named by STYLE_PROFILES_FILE).
+
+const STYLE_PROFILES_FILE = process.env.STYLE_PROFILES_FILE || path.join(__dirname, '..', 'config', 'style-profiles.json');
+
+const DATA_DIR = path.join(__dirname, '..', 'Data');
+const CACHE_FILE = path.join(DATA_DIR, 'style-cache.json');
+const PROFILES_FILE = path.join(DATA_DIR, 'style-profiles.json');
+
+const PROFILE_NAME_PATTERN = /^[\w][\w .-]{0,49}$/;
+const MAX_DESCRIPTION_LENGTH = 4000;
+
+class StyleProfileError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'StyleProfileError';
+        this.status = status;
+    }
+}
+
+async function readJson(file, fallback) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback();
+        throw error;
+    }
+}
+
+async function writeJson(file, value) {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.writeFile(file, JSON.stringify(value, null, 2));
+}
+
+// Cache key for analysing these images with this provider and prompt
+async function styleCacheKey(referenceImages, provider, styleOnly, analysisPrompt) {
+    const hash = crypto.createHash('sha256').update(`${provider}\n${styleOnly ? 'style' : 'design'}\n${analysisPrompt}\n`);
+    for (const imagePath of referenceImages) {
+        hash.update(crypto.createHash('sha256').update(await fs.readFile(imagePath)).digest('hex'));
+    }
+    return hash.digest('hex');
+}
+
+// The cached style guide for a key, or null
+async function getCachedStyle(key) {
+    const cache = await readJson(CACHE_FILE, () => ({}));
+    return Object.hasOwn(cache, key) ? cache[key].styleGuide : null;
+}
+
+// Comparison mode analyses in parallel, so cache updates are queued to avoid losing one
+let cacheUpdates = Promise.resolve();
+
+function cacheStyle(key, { styleGuide, provider, styleOnly, referenceImages }) {
+    cacheUpdates = cacheUpdates.catch(() => {}).then(async () => {
+        const cache = await readJson(CACHE_FILE, () => ({}));
+        cache[key] = {
+            styleGuide,
+            provider,
+            styleOnly,
+            referenceImages: referenceImages.map(imagePath => path.relative(path.join(__dirname, '..'), imagePath)),
+            createdAt: new Date().toISOString()
+        };
+        await writeJson(CACHE_FILE, cache);
+    });
+    return cacheUpdates;
+}
+
+// Forget every cached analysis. Resolves with the number removed.
+async function clearStyleCache() {
+    const cache = await readJson(CACHE_FILE, () => ({}));
+    await writeJson(CACHE_FILE, {});
+    return Object.keys(cache).length;
+}
+
+async function readProfiles() {
+    return readJson(PROFILES_FILE, () => {
+        const defaults = JSON.parse(fsSync.readFileSync(STYLE_PROFILES_FILE, 'utf8'));
+        console.log(`Loaded ${Object.keys(defaults).length} default style profiles from ${STYLE_PROFILES_FILE}`);
+        return Object.fromEntries(Object.entries(defaults).map(([name, description]) => [name, { description, updatedAt: null }]));
+    });
+}
+
+function describeProfile(name, profile) {
+    return { name, description: profile.description, updatedAt: profile.updatedAt };
+}
+
+async function listStyleProfiles() {
+    const profiles = await readProfiles();
+    return Object.entries(profiles)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, profile]) => describeProfile(name, profile));
+}
+
+// A profile by name, or null
+async function findStyleProfile(name) {
+    const profiles = await readProfiles();
+    return Object.hasOwn(profiles, name) ? describeProfile(name, profiles[name]) : null;
+}
+
+// Create or replace a profile
+async function saveStyleProfile(name, description) {
+    if (!PROFILE_NAME_PATTERN.test(name) || name === '__proto__') {
+        throw new StyleProfileError('Profile names are 1-50 letters, digits, spaces, dots, dashes or underscores', 400);
+    }
+    if (typeof description !== 'string' || !description.trim() || description.length > MAX_DESCRIPTION_LENGTH) {
+        throw new StyleProfileError(`description must be 1-${MAX_DESCRIPTION_LENGTH} characters of text`, 400);
+    }
+
+    const profiles = await readProfiles();
+    profiles[name] = { description: description.trim(), updatedAt: new Date().toISOString() };
+    await writeJson(PROFILES_FILE, profiles);
+    console.log(`Saved style profile "${name}"`);
+    return describeProfile(name, profiles[name]);
+}
+
+async function deleteStyleProfile(name) {
+    const profiles = await readProfiles();
+    if (!Object.hasOwn(profiles, name)) {
+        throw new StyleProfileError(`Unknown style profile: ${name}`, 404);
+    }
+    delete profiles[name];
+    await writeJson(PROFILES_FILE, profiles);
+    console.log(`Deleted style profile "${name}"`);
+}
+
+module.exports = {
+    StyleProfileError,
+    styleCacheKey,
+    getCachedStyle,
+    cacheStyle,
+    clearStyleCache,
+    listStyleProfiles,
+    findStyleProfile,
+    saveStyleProfile,
+    deleteStyleProfile
+};
@@ -0,0 +1,126 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { readMetadata } = require('./metadata');
+
+// Versions of a concept: every image in Generated/ made for the same concept
+// (plain generations, comparison-mode images and refinements). One version per
+// concept can be marked canonical; cache lookups and related-robot matching use
+// it instead of whichever file readdir lists first. Without a choice the oldest
+// matching file is used. Choices are stored in Data/canonical-versions.json.
+
+const ROOT_DIR = path.join(__dirname, '..');
+const GENERATED_DIR = path.join(ROOT_DIR, 'Generated');
+const DATA_DIR = path.join(ROOT_DIR, 'Data');
+const CANONICAL_FILE = path.join(DATA_DIR, 'canonical-versions.json');
+
+const IMAGE_PATTERN = /\.(png|jpg|jpeg)$/i;
+const TIMESTAMP_PATTERN = /_(\d{13})$/;
+
+// Key shared by a prompt and the files generated for it, e.g. "React Native" -> "react_native"
+function conceptKey(concept) {
+    return concept.toLowerCase().replace(/[^a-z0-9]/gi, '_');
+}
+
+// Filename without extension, timestamp or refinement suffix,
+// e.g. python_refined_1758663007797.jpg -> python
+function fileStem(filename) {
+    return path.basename(filename, path.extname(filename))
+        .toLowerCase()
+        .replace(TIMESTAMP_PATTERN, '')
+        .replace(/_refined$/, '');
+}
+
+// Concept key of a generated file. Metadata names the concept; files saved
+// before metadata existed fall back to the filename stem.
+function fileConceptKey(filename, metadata) {
+    return metadata?.concept ? conceptKey(metadata.concept) : fileStem(filename);
+}
+
+function createdTime(filename, metadata) {
+    if (metadata?.createdAt) {
+        return Date.parse(metadata.createdAt);
+    }
+    const match = path.basename(filename, path.extname(filename)).match(TIMESTAMP_PATTERN);
+    return match ? Number(match[1]) : 0;
+}
+
+// The oldest plain (unrefined) generated file named exactly `stem`, or undefined
+function findOldestFile(files, stem) {
+    return files
+        .filter(file => IMAGE_PATTERN.test(file))
+        .filter(file => path.basename(file, path.extname(file)).toLowerCase().replace(TIMESTAMP_PATTERN, '') === stem)
+        .sort()[0];
+}
+
+// Map of concept key -> canonical filename
+async function readCanonicalVersions() {
+    try {
+        return JSON.parse(await fs.readFile(CANONICAL_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+    }
+}
+
+async function writeCanonicalVersions(canonical) {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.writeFile(CANONICAL_FILE, JSON.stringify(canonical, null, 2));
+}
+
+// The canonical filename for a concept, or null if none was chosen or the file is gone
+async function getCanonicalVersion(concept) {
+    const filename = (await readCanonicalVersions())[conceptKey(concept)];
+    if (!filename) return null;
+    try {
+        await fs.access(path.join(GENERATED_DIR, filename));
+        return filename;
+    } catch {
+        return null;
+    }
+}
+
+// Mark a version as canonical for its concept; a null filename clears the choice
+async function setCanonicalVersion(concept, filename) {
+    const canonical = await readCanonicalVersions();
+    if (filename) {
+        canonical[conceptKey(concept)] = filename;
+    } else {
+        delete canonical[conceptKey(concept)];
+    }
+    await writeCanonicalVersions(canonical);
+}
+
+// All versions of a concept, oldest first, with the canonical one flagged
+async function listVersions(concept) {
+    const key = conceptKey(concept);
+    const canonical = await getCanonicalVersion(concept);
+    const files = (await fs.readdir(GENERATED_DIR)).filter(file => IMAGE_PATTERN.test(file));
+
+    const versions = [];
+    for (const filename of files) {
+        const metadata = await readMetadata(filename);
+        if (fileConceptKey(filename, metadata) !== key) continue;
+        versions.push({
+            filename,
+            model: metadata?.model || null,
+            source: metadata?.source || null,
+            parent: metadata?.parent || null,
+            instruction: metadata?.instruction || null,
+            cost: metadata?.cost || null,
+            createdAt: new Date(createdTime(filename, metadata)).toISOString(),
+            canonical: filename === canonical
+        });
+    }
+
+    return versions.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+module.exports = {
+    conceptKey,
+    fileStem,
+    findOldestFile,
+    readCanonicalVersions,
+    getCanonicalVersion,
+    setCanonicalVersion,
+    listVersions
+};
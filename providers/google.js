@@ -0,0 +1,228 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { formatCost, encodeReferenceImages, encodeSourceImage } = require('./shared');
+const { tokenCost, imageOutputTokens } = require('../lib/pricing');
+
+// Initialize Google Gemini client on first use so the server can start without a key
+let googleAI = null;
+
+function getModel(model, generationConfig = undefined) {
+    if (!googleAI) {
+        googleAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+    }
+    return googleAI.getGenerativeModel({ model, generationConfig });
+}
+
+const TEXT_MODEL = 'gemini-2.0-flash-exp';
+const IMAGE_MODEL = 'gemini-2.5-flash-image-preview';
+
+// Cost of an image generation: prompt tokens (text and reference images) at
+// the input rate, generated image tokens at the output rate
+function price(usage) {
+    return tokenCost(IMAGE_MODEL, { input: usage.prompt_tokens || 0, output: usage.image_tokens || 0 });
+}
+
+// Token counts assumed for a text call when the response has no usageMetadata, on
+// the high side so budgets aren't undercounted
+const ESTIMATED_TEXT_TOKENS = { input: 500, output: 500 };
+
+// Token usage and cost of a text model response, from its usageMetadata, else
+// estimated from ESTIMATED_TEXT_TOKENS and flagged
+function textUsage(response) {
+    const usage = response.usageMetadata;
+    const tokenUsage = {
+        prompt_tokens: usage ? usage.promptTokenCount || 0 : ESTIMATED_TEXT_TOKENS.input,
+        completion_tokens: usage ? usage.candidatesTokenCount || 0 : ESTIMATED_TEXT_TOKENS.output,
+        total_tokens: usage ? usage.totalTokenCount || 0 : ESTIMATED_TEXT_TOKENS.input + ESTIMATED_TEXT_TOKENS.output,
+        estimated: !usage
+    };
+    tokenUsage.estimated_cost = tokenCost(TEXT_MODEL, { input: tokenUsage.prompt_tokens, output: tokenUsage.completion_tokens });
+    return tokenUsage;
+}
+
+// Token usage and cost of an image generation. Without usageMetadata the
+// configured per-image output token count is used and the cost is flagged as
+// an estimate (input is then unknown and not charged).
+function imageUsage(response) {
+    const usage = response.usageMetadata;
+    const tokenUsage = {
+        prompt_tokens: usage?.promptTokenCount || 0,
+        completion_tokens: 0,
+        total_tokens: usage?.totalTokenCount || 0,
+        image_tokens: usage ? usage.candidatesTokenCount || 0 : imageOutputTokens(IMAGE_MODEL),
+        estimated: !usage
+    };
+    tokenUsage.estimated_cost = price(tokenUsage);
+    return tokenUsage;
+}
+
+// Return the first inline image (base64) from a Gemini response, or null
+function extractInlineImage(response) {
+    for (const candidate of response.candidates || []) {
+        for (const part of candidate.content.parts || []) {
+            if (part.inlineData) {
+                return part.inlineData.data;
+            }
+        }
+    }
+    return null;
+}
+
+// Generate image using Google Gemini 2.5 Flash Image; the seed makes repeated runs
+// of the same prompt and references return the same image where the API can
+async function generate(finalPrompt, referenceImages, { seed = null } = {}) {
+    console.log('Using Google Gemini 2.5 Flash Image (Nano Banana) for generation');
+
+    // Google supports up to 10 reference images
+    const referenceBase64Images = await encodeReferenceImages(referenceImages, 'Google', 10);
+
+    const parts = [
+        { text: finalPrompt }
+    ];
+
+    for (const base64Image of referenceBase64Images) {
+        parts.push({
+            inlineData: {
+                mimeType: 'image/jpeg',
+                data: base64Image
+            }
+        });
+    }
+
+    const model = getModel(IMAGE_MODEL, seed === null ? undefined : { seed });
+    const result = await model.generateContent(parts);
+
+    const response = await result.response;
+    const imageData = extractInlineImage(response);
+
+    if (!imageData) {
+        throw new Error('No image data returned from Google Gemini');
+    }
+
+    const tokenUsage = imageUsage(response);
+
+    console.log('Google Gemini generation completed');
+    if (tokenUsage.estimated) {
+        console.warn(`Google returned no usage data, cost estimated at ${formatCost(tokenUsage.estimated_cost)} (${tokenUsage.image_tokens} output tokens)`);
+    } else {
+        console.log(`Cost: ${formatCost(tokenUsage.estimated_cost)} (${tokenUsage.prompt_tokens} input tokens, ${tokenUsage.image_tokens} output tokens)`);
+    }
+
+    return {
+        imageBuffer: Buffer.from(imageData, 'base64'),
+        tokenUsage,
+        cost: formatCost(tokenUsage.estimated_cost)
+    };
+}
+
+// Edit an existing image following an instruction; Gemini 2.5 Flash Image edits natively
+async function edit(imageBuffer, editPrompt) {
+    console.log('Using Google Gemini 2.5 Flash Image (Nano Banana) to edit an image');
+
+    const sourceImage = await encodeSourceImage(imageBuffer);
+
+    const model = getModel(IMAGE_MODEL);
+    const result = await model.generateContent([
+        { text: editPrompt },
+        {
+            inlineData: {
+                mimeType: 'image/png',
+                data: sourceImage
+            }
+        }
+    ]);
+
+    const response = await result.response;
+    const imageData = extractInlineImage(response);
+
+    if (!imageData) {
+        throw new Error('No image data returned from Google Gemini');
+    }
+
+    const tokenUsage = imageUsage(response);
+    console.log(`Google Gemini edit cost: ${formatCost(tokenUsage.estimated_cost)}${tokenUsage.estimated ? ' (estimated)' : ''}`);
+
+    return {
+        imageBuffer: Buffer.from(imageData, 'base64'),
+        tokenUsage,
+        cost: formatCost(tokenUsage.estimated_cost)
+    };
+}
+
+// Extract a style guide from base64 data-URL reference images
+async function analyzeStyle(base64Images, analysisPrompt) {
+    const parts = [
+        { text: analysisPrompt },
+        ...base64Images.map(img => ({
+            inlineData: {
+                mimeType: 'image/png',
+                data: img.split(',')[1] // Remove data:image/png;base64, prefix
+            }
+        }))
+    ];
+
+    const model = getModel(TEXT_MODEL);
+    const result = await model.generateContent(parts);
+    const response = await result.response;
+    return {
+        text: response.text(),
+        tokenUsage: textUsage(response)
+    };
+}
+
+// Research a concept's visual identity
+async function research(researchPrompt) {
+    const model = getModel(TEXT_MODEL);
+    const result = await model.generateContent(researchPrompt);
+    const response = await result.response;
+    return {
+        text: response.text(),
+        tokenUsage: textUsage(response)
+    };
+}
+
+// Connectivity test covering both text and image generation
+async function test() {
+    const textModel = getModel(TEXT_MODEL);
+    const result = await textModel.generateContent("Say 'Google Gemini is working!' and nothing else.");
+    const response = await result.response;
+    console.log('Google Gemini test response:', response.text());
+
+    const imageModel = getModel(IMAGE_MODEL);
+    const imageResult = await imageModel.generateContent('Create a simple test image of a small robot.');
+    const imageResponse = await imageResult.response;
+
+    if (!extractInlineImage(imageResponse)) {
+        throw new Error('Google Gemini image generation test failed - no image returned');
+    }
+
+    const text = textUsage(response);
+    const image = imageUsage(imageResponse);
+    const tokenUsage = {
+        prompt_tokens: text.prompt_tokens + image.prompt_tokens,
+        completion_tokens: text.completion_tokens,
+        total_tokens: text.total_tokens + image.total_tokens,
+        image_tokens: image.image_tokens,
+        estimated: text.estimated || image.estimated,
+        estimated_cost: text.estimated_cost + image.estimated_cost
+    };
+
+    return {
+        message: 'Google Gemini (Nano Banana) is working! Image generation tested successfully.',
+        tokenUsage,
+        cost: formatCost(tokenUsage.estimated_cost)
+    };
+}
+
+module.exports = {
+    id: 'google',
+    name: 'Google Gemini',
+    label: 'Google Gemini 2.5 Flash Image (Nano Banana)',
+    color: '#4CAF50',
+    comparable: true,
+    generate,
+    edit,
+    analyzeStyle,
+    research,
+    test,
+    price
+};
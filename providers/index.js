@@ -0,0 +1,101 @@
+// Image provider registry
+//
+// A provider is a self-contained module exporting:
+//   id, name, label, color   - identifier, short name, dropdown label and UI accent colour
+//   comparable               - whether it takes part in the side-by-side comparison by default
+//   offline                  - optional; research and vision stages also run on this provider (see lib/stages.js)
+//   maxConcurrency           - optional; generations allowed to run at once (default 2)
+//   generate(finalPrompt, referenceImages, { seed })  -> { imageBuffer, tokenUsage, cost }
+//                            seed is an integer; providers whose API takes one pass it on
+//   edit(imageBuffer, editPrompt) -> { imageBuffer, tokenUsage, cost } (optional; enables refinement)
+//   analyzeStyle(base64Images, analysisPrompt) -> { text, tokenUsage } (style guide)
+//   research(researchPrompt) -> { text, tokenUsage } (research notes)
+//   test()                   -> { message, tokenUsage, cost }
+//   price(usage)             -> cost in USD for a usage object
+//
+// tokenUsage always carries estimated_cost in USD so every call can be billed to the ledger,
+// and estimated: true when the API reported no usage and the cost is a guess. Prices come
+// from config/pricing.json via lib/pricing.js.
+//
+// To add a backend, create a module implementing that interface and register it below.
+
+const REQUIRED_METHODS = ['generate', 'analyzeStyle', 'research', 'test', 'price'];
+
+// The provider used when a request doesn't name one
+const DEFAULT_PROVIDER = 'openai';
+
+// The `model` value that asks for a side-by-side comparison across providers
+const COMPARE_MODEL = 'both';
+
+// Simultaneous generations per provider when a provider doesn't set maxConcurrency
+const DEFAULT_MAX_CONCURRENCY = 2;
+
+const providers = new Map();
+
+function registerProvider(provider) {
+    if (!provider.id) {
+        throw new Error('Provider is missing an id');
+    }
+    if (!provider.maxConcurrency) {
+        provider.maxConcurrency = DEFAULT_MAX_CONCURRENCY;
+    }
+    for (const method of REQUIRED_METHODS) {
+        if (typeof provider[method] !== 'function') {
+            throw new Error(`Provider "${provider.id}" does not implement ${method}()`);
+        }
+    }
+    providers.set(provider.id, provider);
+}
+
+function hasProvider(id) {
+    return providers.has(id);
+}
+
+function getProvider(id) {
+    const provider = providers.get(id);
+    if (!provider) {
+        throw new Error(`Unknown model: ${id}`);
+    }
+    return provider;
+}
+
+function listProviders() {
+    return Array.from(providers.values());
+}
+
+// Providers used by the comparison mode when the request doesn't list them explicitly
+function comparisonProviders(ids) {
+    if (Array.isArray(ids) && ids.length > 0) {
+        return ids.map(getProvider);
+    }
+    return listProviders().filter(provider => provider.comparable);
+}
+
+// Public description of a provider for the UI
+function describeProvider(provider) {
+    return {
+        id: provider.id,
+        name: provider.name,
+        label: provider.label,
+        color: provider.color,
+        comparable: provider.comparable,
+        offline: Boolean(provider.offline),
+        editable: typeof provider.edit === 'function',
+        maxConcurrency: provider.maxConcurrency
+    };
+}
+
+registerProvider(require('./openai'));
+registerProvider(require('./google'));
+registerProvider(require('./mock'));
+
+module.exports = {
+    DEFAULT_PROVIDER,
+    COMPARE_MODEL,
+    registerProvider,
+    hasProvider,
+    getProvider,
+    listProviders,
+    comparisonProviders,
+    describeProvider
+};
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { formatCost } = require('./shared');
+
+// Offline provider for local development and tests.
+// Makes no network calls: research and style analysis return canned text and
+// images are procedurally rendered placeholder robots seeded by the prompt and
+// the run's seed, so the same prompt and seed always produce the same image.
+
+const IMAGE_SIZE = 1024;
+
+const BODY_COLORS = ['#8D9AA5', '#B0705A', '#6C8E6B', '#C9A227', '#5B7DB1', '#9C6B98', '#D9D4C7'];
+const EYE_COLORS = ['#4FC3F7', '#FFB74D', '#AED581', '#F06292', '#FFF176'];
+
+const CANNED_RESEARCH = `Mock research (offline):
+1. Colors: a muted steel base with one accent colour
+2. Visual characteristics: simple geometric head, round eyes, a single antenna
+3. Personality: friendly, dependable, curious
+4. Imagery: gears, panels and indicator lights`;
+
+const CANNED_STYLE_GUIDE = `Mock style guide (offline):
+- Clean 3D render with soft studio lighting
+- Matte painted metal with subtle panel lines
+- Rounded, friendly proportions and large glowing eyes
+- Plain white background, 3/4 view facing slightly left`;
+
+// Deterministic pseudo-random generator (mulberry32) seeded from a string
+function seededRandom(seedText) {
+    let state = crypto.createHash('sha256').update(seedText).digest().readUInt32LE(0);
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function pick(random, items) {
+    return items[Math.floor(random() * items.length)];
+}
+
+// Build an SVG robot whose proportions and colours are derived from the seed
+function buildRobotSvg(seedText) {
+    const random = seededRandom(seedText);
+    const body = pick(random, BODY_COLORS);
+    const eye = pick(random, EYE_COLORS);
+    const headWidth = 300 + Math.floor(random() * 160);
+    const headHeight = 240 + Math.floor(random() * 120);
+    const headRadius = Math.floor(random() * 120);
+    const eyeRadius = 36 + Math.floor(random() * 30);
+    const bodyWidth = 260 + Math.floor(random() * 180);
+    const antennaHeight = 60 + Math.floor(random() * 90);
+
+    const cx = IMAGE_SIZE / 2;
+    const headTop = 220;
+    const headLeft = cx - headWidth / 2;
+    const eyeY = headTop + headHeight / 2;
+    const bodyTop = headTop + headHeight + 30;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${IMAGE_SIZE}" height="${IMAGE_SIZE}">
+        <rect width="100%" height="100%" fill="#FFFFFF"/>
+        <ellipse cx="${cx}" cy="930" rx="${bodyWidth / 2 + 40}" ry="30" fill="#E0E0E0"/>
+        <line x1="${cx}" y1="${headTop}" x2="${cx}" y2="${headTop - antennaHeight}" stroke="#555555" stroke-width="12"/>
+        <circle cx="${cx}" cy="${headTop - antennaHeight}" r="20" fill="${eye}"/>
+        <rect x="${cx - bodyWidth / 2}" y="${bodyTop}" width="${bodyWidth}" height="${900 - bodyTop}" rx="40" fill="${body}" stroke="#444444" stroke-width="8"/>
+        <rect x="${headLeft}" y="${headTop}" width="${headWidth}" height="${headHeight}" rx="${headRadius}" fill="${body}" stroke="#444444" stroke-width="8"/>
+        <circle cx="${cx - headWidth / 4}" cy="${eyeY}" r="${eyeRadius}" fill="#222222"/>
+        <circle cx="${cx + headWidth / 4}" cy="${eyeY}" r="${eyeRadius}" fill="#222222"/>
+        <circle cx="${cx - headWidth / 4}" cy="${eyeY}" r="${eyeRadius * 0.6}" fill="${eye}"/>
+        <circle cx="${cx + headWidth / 4}" cy="${eyeY}" r="${eyeRadius * 0.6}" fill="${eye}"/>
+        <circle cx="${cx}" cy="${bodyTop + 120}" r="40" fill="${eye}" stroke="#444444" stroke-width="6"/>
+    </svg>`;
+}
+
+function price() {
+    return 0;
+}
+
+function emptyUsage() {
+    return {
+        prompt_tokens: 0,
+        completion_tokens: 0,
+        total_tokens: 0,
+        estimated: false,
+        estimated_cost: 0
+    };
+}
+
+// Render a placeholder robot seeded by the prompt and seed
+async function generate(finalPrompt, referenceImages, { seed = null } = {}) {
+    console.log(`Using mock provider (offline) with ${referenceImages.length} reference images`);
+
+    const imageBuffer = await sharp(Buffer.from(buildRobotSvg(seed === null ? finalPrompt : `${seed}:${finalPrompt}`)))
+        .png()
+        .toBuffer();
+
+    const tokenUsage = { ...emptyUsage(), image_tokens: 0 };
+
+    return {
+        imageBuffer,
+        tokenUsage,
+        cost: formatCost(0)
+    };
+}
+
+// "Edit" an image offline by shifting its hue by an amount seeded by the instruction
+async function edit(imageBuffer, editPrompt) {
+    console.log('Using mock provider (offline) to edit an image');
+
+    const random = seededRandom(editPrompt);
+    const editedBuffer = await sharp(imageBuffer)
+        .resize(IMAGE_SIZE, IMAGE_SIZE, { fit: 'cover' })
+        .modulate({ hue: 30 + Math.floor(random() * 300) })
+        .png()
+        .toBuffer();
+
+    return {
+        imageBuffer: editedBuffer,
+        tokenUsage: { ...emptyUsage(), image_tokens: 0 },
+        cost: formatCost(0)
+    };
+}
+
+async function analyzeStyle() {
+    return { text: CANNED_STYLE_GUIDE, tokenUsage: emptyUsage() };
+}
+
+async function research() {
+    return { text: CANNED_RESEARCH, tokenUsage: emptyUsage() };
+}
+
+async function test() {
+    return {
+        message: 'Mock provider is working! No API calls were made.',
+        tokenUsage: emptyUsage(),
+        cost: formatCost(0)
+    };
+}
+
+module.exports = {
+    id: 'mock',
+    name: 'Mock',
+    label: 'Mock (Offline Placeholder)',
+    color: '#9E9E9E',
+    comparable: false,
+    offline: true,
+    maxConcurrency: 4,
+    generate,
+    edit,
+    analyzeStyle,
+    research,
+    test,
+    price
+};
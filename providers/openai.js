@@ -0,0 +1,289 @@
+const OpenAI = require('openai');
+const { formatCost, encodeReferenceImages, encodeSourceImage } = require('./shared');
+const { tokenCost, imageOutputTokens } = require('../lib/pricing');
+
+// Initialize OpenAI client on first use so the server can start without a key
+let openai = null;
+
+function getClient() {
+    if (!openai) {
+        openai = new OpenAI({
+            apiKey: process.env.OPENAI_API_KEY
+        });
+    }
+    return openai;
+}
+
+const IMAGE_MODEL = 'gpt-image-1';
+const IMAGE_QUALITY = 'high';
+const IMAGE_SIZE = '1024x1024';
+
+// The mainline model that drives the image generation tool
+const RESPONSES_MODEL = 'gpt-4o';
+
+// Prompt size assumed when the API returns no usage data. The completion is then
+// assumed to use its whole max_tokens, so estimates err on the high side for budgets.
+const ESTIMATED_PROMPT_TOKENS = 500;
+
+// Cost of an image generation: the mainline model's tokens plus the image
+// output tokens billed at gpt-image-1 rates
+function price(usage) {
+    return tokenCost(RESPONSES_MODEL, { input: usage.prompt_tokens || 0, output: usage.completion_tokens || 0 })
+        + tokenCost(IMAGE_MODEL, { output: usage.image_tokens || 0 });
+}
+
+// Token usage and cost of a chat completion. Without usage data in the response
+// the call is estimated from ESTIMATED_PROMPT_TOKENS and its maxTokens, and flagged.
+function chatUsage(model, response, maxTokens) {
+    const usage = response.usage;
+    const tokenUsage = {
+        prompt_tokens: usage ? usage.prompt_tokens || 0 : ESTIMATED_PROMPT_TOKENS,
+        completion_tokens: usage ? usage.completion_tokens || 0 : maxTokens,
+        total_tokens: usage ? usage.total_tokens || 0 : ESTIMATED_PROMPT_TOKENS + maxTokens,
+        estimated: !usage
+    };
+    tokenUsage.estimated_cost = tokenCost(model, { input: tokenUsage.prompt_tokens, output: tokenUsage.completion_tokens });
+    return tokenUsage;
+}
+
+// Output tokens of the image generation tool, where the response reports them
+// (as tool_usage.image_gen, or as usage on the image generation call), else null
+function reportedImageTokens(response) {
+    const call = response.output?.find(output => output.type === 'image_generation_call');
+    const usage = response.tool_usage?.image_gen || call?.usage;
+    return Number.isFinite(usage?.output_tokens) ? usage.output_tokens : null;
+}
+
+// Token usage of a Responses API call, which names its counts input_tokens and
+// output_tokens. The image tool's output is billed on top of that: its reported
+// tokens, else the configured per-image count, which flags the usage as estimated.
+function responsesUsage(response) {
+    const usage = response.usage;
+    const imageTokens = reportedImageTokens(response);
+    const tokenUsage = {
+        prompt_tokens: usage ? usage.input_tokens || 0 : ESTIMATED_PROMPT_TOKENS,
+        completion_tokens: usage?.output_tokens || 0,
+        total_tokens: usage?.total_tokens || 0,
+        image_tokens: imageTokens ?? imageOutputTokens(IMAGE_MODEL, `${IMAGE_QUALITY}:${IMAGE_SIZE}`),
+        image_tokens_estimated: imageTokens === null,
+        estimated: !usage || imageTokens === null
+    };
+    tokenUsage.estimated_cost = price(tokenUsage);
+    return tokenUsage;
+}
+
+// Extract image data (base64) from a Responses API response
+function extractGeneratedImage(response) {
+    const imageGenerationCalls = response.output?.filter(
+        output => output.type === 'image_generation_call'
+    ) || [];
+
+    if (imageGenerationCalls.length === 0 || !imageGenerationCalls[0].result) {
+        throw new Error('No image data returned from OpenAI Responses API');
+    }
+
+    return imageGenerationCalls[0].result;
+}
+
+// Generate image using the Responses API with the image generation tool (which
+// takes no seed, so repeated runs can differ)
+async function generate(finalPrompt, referenceImages) {
+    console.log('Using OpenAI GPT-4o with image generation tool');
+
+    const referenceBase64Images = await encodeReferenceImages(referenceImages, 'OpenAI');
+
+    // Build content array with text prompt and all reference images
+    const contentArray = [
+        {
+            type: "input_text",
+            text: finalPrompt
+        }
+    ];
+
+    for (const base64Image of referenceBase64Images) {
+        contentArray.push({
+            type: "input_image",
+            image_url: `data:image/jpeg;base64,${base64Image}`
+        });
+    }
+
+    const response = await getClient().responses.create({
+        model: RESPONSES_MODEL,
+        input: [
+            {
+                role: "user",
+                content: contentArray
+            }
+        ],
+        tools: [
+            {
+                type: "image_generation",
+                quality: IMAGE_QUALITY,
+                size: IMAGE_SIZE,
+                input_fidelity: "high"
+            }
+        ]
+    });
+
+    const imageBase64Result = extractGeneratedImage(response);
+    const tokenInfo = responsesUsage(response);
+
+    if (tokenInfo.estimated) {
+        console.warn(`OpenAI returned no ${tokenInfo.image_tokens_estimated ? 'image ' : ''}usage data, cost estimated at ${formatCost(tokenInfo.estimated_cost)}`);
+    } else {
+        console.log('OpenAI Token Usage:', {
+            input_tokens: tokenInfo.prompt_tokens,
+            output_tokens: tokenInfo.completion_tokens,
+            image_tokens: tokenInfo.image_tokens,
+            total_tokens: tokenInfo.total_tokens + tokenInfo.image_tokens,
+            total_cost: formatCost(tokenInfo.estimated_cost)
+        });
+    }
+
+    return {
+        imageBuffer: Buffer.from(imageBase64Result, 'base64'),
+        tokenUsage: tokenInfo,
+        cost: formatCost(tokenInfo.estimated_cost)
+    };
+}
+
+// Edit an existing image following an instruction, using the image generation tool
+async function edit(imageBuffer, editPrompt) {
+    console.log('Using OpenAI GPT-4o with image generation tool to edit an image');
+
+    const sourceImage = await encodeSourceImage(imageBuffer);
+
+    const response = await getClient().responses.create({
+        model: RESPONSES_MODEL,
+        input: [
+            {
+                role: "user",
+                content: [
+                    {
+                        type: "input_text",
+                        text: editPrompt
+                    },
+                    {
+                        type: "input_image",
+                        image_url: `data:image/png;base64,${sourceImage}`
+                    }
+                ]
+            }
+        ],
+        tools: [
+            {
+                type: "image_generation",
+                quality: IMAGE_QUALITY,
+                size: IMAGE_SIZE,
+                input_fidelity: "high"
+            }
+        ],
+        tool_choice: { type: "image_generation" }
+    });
+
+    const imageBase64Result = extractGeneratedImage(response);
+    const tokenInfo = responsesUsage(response);
+    console.log(`OpenAI edit cost: ${formatCost(tokenInfo.estimated_cost)}${tokenInfo.estimated ? ' (estimated)' : ''}`);
+
+    return {
+        imageBuffer: Buffer.from(imageBase64Result, 'base64'),
+        tokenUsage: tokenInfo,
+        cost: formatCost(tokenInfo.estimated_cost)
+    };
+}
+
+// Extract a style guide from base64 data-URL reference images using GPT-4o vision
+async function analyzeStyle(base64Images, analysisPrompt) {
+    const response = await getClient().chat.completions.create({
+        model: "gpt-4o",
+        messages: [
+            {
+                role: "system",
+                content: "You are an expert art director analyzing robot designs to extract their visual style."
+            },
+            {
+                role: "user",
+                content: [
+                    {
+                        type: "text",
+                        text: analysisPrompt
+                    },
+                    ...base64Images.map(img => ({
+                        type: "image_url",
+                        image_url: {
+                            url: img,
+                            detail: "low"
+                        }
+                    }))
+                ]
+            }
+        ],
+        max_tokens: 500
+    });
+
+    return {
+        text: response.choices[0].message.content,
+        tokenUsage: chatUsage('gpt-4o', response, 500)
+    };
+}
+
+// Research a concept's visual identity using GPT-4
+async function research(researchPrompt) {
+    const response = await getClient().chat.completions.create({
+        model: "gpt-4",
+        messages: [
+            {
+                role: "system",
+                content: "You are a helpful assistant that researches programming languages and technical concepts to understand their visual identity, brand colors, and key characteristics."
+            },
+            {
+                role: "user",
+                content: researchPrompt
+            }
+        ],
+        max_tokens: 300
+    });
+
+    return {
+        text: response.choices[0].message.content,
+        tokenUsage: chatUsage('gpt-4', response, 300)
+    };
+}
+
+// Connectivity test
+async function test() {
+    const response = await getClient().chat.completions.create({
+        model: "gpt-4",
+        messages: [
+            {
+                role: "user",
+                content: "Say 'OpenAI is working!' and nothing else."
+            }
+        ],
+        max_tokens: 20
+    });
+
+    console.log('OpenAI test response:', response.choices[0].message.content);
+
+    const tokenUsage = chatUsage('gpt-4', response, 20);
+
+    return {
+        message: 'OpenAI GPT-4o is working!',
+        tokenUsage,
+        cost: formatCost(tokenUsage.estimated_cost)
+    };
+}
+
+module.exports = {
+    id: 'openai',
+    name: 'OpenAI',
+    label: 'OpenAI GPT-4o (Image Generation)',
+    color: '#2196F3',
+    comparable: true,
+    generate,
+    edit,
+    analyzeStyle,
+    research,
+    test,
+    price
+};
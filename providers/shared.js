@@ -0,0 +1,46 @@
+const path = require('path');
+const sharp = require('sharp');
+
+// Format a USD amount the way the API and UI display it
+function formatCost(cost) {
+    return `$${cost.toFixed(4)}`;
+}
+
+// Resize reference images to 512px JPEGs and return them base64-encoded. Transparent
+// uploads (logos, mascots) are flattened onto white, matching the studio backgrounds.
+async function encodeReferenceImages(referenceImages, providerName, limit = referenceImages.length) {
+    const encoded = [];
+    console.log(`Processing ${referenceImages.length} reference images for ${providerName}...`);
+
+    for (let i = 0; i < Math.min(referenceImages.length, limit); i++) {
+        const imagePath = referenceImages[i];
+        try {
+            const buffer = await sharp(imagePath)
+                .resize(512, 512, { fit: 'inside', withoutEnlargement: true })
+                .flatten({ background: '#ffffff' })
+                .jpeg({ quality: 85 })
+                .toBuffer();
+            encoded.push(buffer.toString('base64'));
+            console.log(`Processed reference ${i + 1}: ${path.basename(imagePath)}`);
+        } catch (err) {
+            console.warn(`Failed to process reference image ${imagePath}: ${err}`);
+        }
+    }
+
+    return encoded;
+}
+
+// Upscale an image being edited to the provider's working size and return it as base64 PNG
+async function encodeSourceImage(imageBuffer, size = 1024) {
+    const buffer = await sharp(imageBuffer)
+        .resize(size, size, { fit: 'cover' })
+        .png()
+        .toBuffer();
+    return buffer.toString('base64');
+}
+
+module.exports = {
+    formatCost,
+    encodeReferenceImages,
+    encodeSourceImage
+};
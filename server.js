@@ -4,28 +4,89 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
-const OpenAI = require('openai');
-const sharp = require('sharp');
 const FormData = require('form-data');
 const axios = require('axios');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const {
+    DEFAULT_PROVIDER,
+    COMPARE_MODEL,
+    hasProvider,
+    getProvider,
+    listProviders,
+    comparisonProviders,
+    describeProvider
+} = require('./providers');
+const { formatCost } = require('./providers/shared');
+const { createGenerationRecord, writeMetadata, readMetadata } = require('./lib/metadata');
+const { withSlot } = require('./lib/limiter');
+const { createJob, getJob, isFinished, subscribeToJob, describeJob, listJobs } = require('./lib/jobs');
+const { parseConceptList, runBatch, formatReportCsv } = require('./lib/batch');
+const { recordCost, assertWithinBudget, summarizeCosts } = require('./lib/ledger');
+const { findOldestFile, readCanonicalVersions, getCanonicalVersion, setCanonicalVersion, listVersions } = require('./lib/versions');
+const { RenditionError, sourceImagePath, getRendition, saveGeneratedImage, saveTransparentVariant } = require('./lib/renditions');
+const { deleteImage, renameImage, promoteImage, demoteImage, listReferences } = require('./lib/gallery');
+const { matchRelatedRobots } = require('./lib/concepts');
+const { MAX_SIMILARITY_RETRIES, defaultSimilarityRetries, checkSimilarity } = require('./lib/similarity');
+const { UPLOADS_DIR, MAX_SEED, MAX_PINNED_REFERENCES, MAX_UPLOADS, REFERENCE_MODES, createSeed, defaultSeed, isValidSeed, loadReferenceImages, resolvePinnedReferences, resolveParentRobot, saveUpload, resolveUploads, describeReferences } = require('./lib/references');
+const { StyleProfileError, styleCacheKey, getCachedStyle, cacheStyle, clearStyleCache, listStyleProfiles, findStyleProfile, saveStyleProfile, deleteStyleProfile } = require('./lib/styles');
+const { findResearchNote, saveResearchNote, deleteResearchNote } = require('./lib/research');
+const { isStageModel, resolveStageModels, stageFallback, describeStageConfig } = require('./lib/stages');
+const { TIERS, TIER_NAMES, refreshLibrary, watchLibrary, listLibrary, libraryRobots, libraryFiles, findExistingRobot } = require('./lib/library');
+const { describeLineage, buildFamilyTree } = require('./lib/lineage');
+const { hasPromptVersion, getPromptTemplates, renderPrompt, listPromptTemplates } = require('./lib/prompts');
+const { MIN_CONFIGURATIONS, MAX_CONFIGURATIONS, GROUPINGS, runArenaMatch, findMatch, arenaImagePath, describeMatch, listMatches, recordVote, publishMatch, arenaStats } = require('./lib/arena');
+const { MAX_QUALITY_RETRIES, defaultQualityRetries, textCheckImage, checkComposition, parseTextCheck, qualityVerdict, qualityRetryNotes } = require('./lib/quality');
 
 const app = express();
 const PORT = 3000;
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
+// Concept lists are small text files, so keep uploads in memory
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 1024 * 1024 }
 });
 
-// Initialize Google Gemini client
-const googleAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+// Uploaded reference images are resized before they are stored
+const imageUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 20 * 1024 * 1024, files: MAX_UPLOADS }
+});
 
 // Middleware
 app.use(express.json());
-app.use(express.static(__dirname));
+// Resized/converted copies of generated images, e.g. /generated/python_1234567890.jpg?size=128&format=webp.
+// Add transparent=true to render from the background-removed variant. Renditions are
+// cached under Generated/renditions; without size, format or transparent the stored file is served.
+// Registered before the static handlers: on case-insensitive filesystems (macOS) the
+// root one also matches /Generated/... and would ignore the query.
+app.get('/generated/:name', async function(req, res, next) {
+    const { size, format, transparent } = req.query;
+    if (size === undefined && format === undefined && transparent === undefined) {
+        return next();
+    }
+    
+    try {
+        const file = await getRendition(req.params.name, size, format, transparent === 'true');
+        // Set explicitly: not every format (e.g. AVIF) is in Express's MIME table
+        res.set('Cache-Control', 'public, max-age=86400');
+        res.type(`image/${path.extname(file).slice(1)}`);
+        res.sendFile(file);
+    } catch (error) {
+        if (!(error instanceof RenditionError)) {
+            console.error('Rendition error:', error);
+        }
+        res.status(error.status || 500).json({ error: error.message || 'Failed to render image' });
+    }
+});
+// The page itself. The project folder isn't served as a whole: it holds .env, the
+// source and Data/ (cost ledger, research notes, arena votes).
+app.get(['/', '/index.html'], function(req, res) {
+    res.sendFile(path.join(__dirname, 'index.html'));
+});
 app.use('/generated', express.static(path.join(__dirname, 'Generated')));
 app.use('/reference', express.static(path.join(__dirname, 'Reference Images')));
+app.use('/secondary-reference', express.static(path.join(__dirname, 'Secondary Reference Images')));
+app.use('/png', express.static(path.join(__dirname, 'Png')));
+app.use('/uploads', express.static(UPLOADS_DIR));
 
 // Ensure Generated directory exists
 async function ensureGeneratedDir() {
@@ -38,39 +99,6 @@ async function ensureGeneratedDir() {
     }
 }
 
-// Save buffer as 256x256 JPG (quality 90) into Generated directory
-async function saveProcessedImage(imageBuffer, filenameBase) {
-    const dir = path.join(__dirname, 'Generated');
-    const filename = `${filenameBase}.jpg`;
-    const filepath = path.join(dir, filename);
-    await sharp(imageBuffer)
-        .resize(256, 256, { fit: 'cover', withoutEnlargement: true })
-        .jpeg({ quality: 90 })
-        .toFile(filepath);
-    return filename;
-}
-
-// Load reference images - now with random selection
-async function loadReferenceImages(limit = 10) {
-    const refDir = path.join(__dirname, 'Reference Images');
-    try {
-        const files = await fs.readdir(refDir);
-        const imageFiles = files.filter(file => 
-            /\.(png|jpg|jpeg)$/i.test(file)
-        );
-        
-        // Randomly select up to 'limit' images
-        const shuffled = imageFiles.sort(() => 0.5 - Math.random());
-        const selected = shuffled.slice(0, Math.min(limit, imageFiles.length));
-        
-        console.log(`Selected ${selected.length} random reference images from ${imageFiles.length} total`);
-        return selected.map(file => path.join(refDir, file));
-    } catch (error) {
-        console.error('Error loading reference images:', error);
-        return [];
-    }
-}
-
 // Convert images to base64 for API
 async function imageToBase64(imagePath) {
     try {
@@ -82,13 +110,33 @@ async function imageToBase64(imagePath) {
     }
 }
 
-// Analyze reference images using GPT-4 Vision to extract style
-async function analyzeReferenceStyle(referenceImages, model = 'openai', isUniqueConcept = false) {
+// Record a research or style analysis call in the ledger and add it to the
+// running costs of the generation it belongs to
+async function billTextCall(provider, stage, concept, tokenUsage, costs) {
+    await recordCost({ model: provider.id, stage, concept, cost: tokenUsage.estimated_cost, tokenUsage });
+    costs[stage] = (costs[stage] || 0) + tokenUsage.estimated_cost;
+    costs.estimated = Boolean(costs.estimated || tokenUsage.estimated);
+}
+
+// Analyze reference images with the selected provider's vision model to extract style.
+// Analyses are cached by reference set and analysis prompt (see lib/styles.js), so a
+// set already analysed costs nothing. Resolves with { text, source } where source is
+// "analysis", "cache" or "default" when the analysis failed.
+async function analyzeReferenceStyle(referenceImages, model = DEFAULT_PROVIDER, isUniqueConcept = false, concept = null, costs = {}, promptTemplates = getPromptTemplates()) {
     try {
+        const analysedImages = referenceImages.slice(0, 8);
+        const analysisPrompt = renderPrompt(promptTemplates, isUniqueConcept ? 'styleOnlyAnalysis' : 'styleAnalysis', { concept: concept || '' });
+        const cacheKey = await styleCacheKey(analysedImages, model, isUniqueConcept, analysisPrompt);
+        const cached = await getCachedStyle(cacheKey);
+        if (cached) {
+            console.log(`Using cached style analysis of ${analysedImages.length} reference images`);
+            return { text: cached, source: 'cache' };
+        }
+        
         console.log('Analyzing reference images for style...');
         
         // Convert images to base64
-        const imagePromises = referenceImages.slice(0, 8).map(async (imagePath) => {
+        const imagePromises = analysedImages.map(async (imagePath) => {
             const base64 = await imageToBase64(imagePath);
             return base64;
         });
@@ -97,944 +145,1675 @@ async function analyzeReferenceStyle(referenceImages, model = 'openai', isUnique
         
         if (base64Images.length === 0) {
             console.log('No reference images could be loaded');
-            return getDefaultStyleDescription();
+            return { text: renderPrompt(promptTemplates, 'defaultStyle'), source: 'default' };
         }
         
-        const analysisPrompt = isUniqueConcept 
-            ? `Analyze these robot images to extract ONLY the rendering style and quality. Focus on:
-        1. 3D rendering technique and quality
-        2. Material properties (metallic, plastic, matte, glossy)
-        3. Lighting setup and shadows
-        4. Background style
-        5. Overall polish and professional quality
+        const provider = getProvider(model);
+        // A failed call is retried with the configured fallback provider, if any
+        const fallback = getProvider(stageFallback(provider.id) || provider.id);
         
-        IMPORTANT: Do NOT describe the specific robot designs, shapes, or forms. We want to understand the RENDERING STYLE only, not the robot designs themselves.
-        The goal is to match the rendering quality while creating a completely different robot design.`
-            : `Analyze these robot images and provide a detailed style guide for creating similar robots. Focus on:
-        1. Overall aesthetic (realistic, stylized, retro-futuristic, etc.)
-        2. Material and texture details (metal type, wear patterns, surface finish)
-        3. Color palette approach
-        4. Head and body proportions
-        5. Eye/face design patterns
-        6. Level of detail and complexity
-        7. Lighting and rendering style
-        8. Any consistent design elements across the robots
-        
-        Provide a concise but detailed description that could be used to generate similar robots.`;
-        
-        if (model === 'google') {
-            // Use Google Gemini for analysis
+        if (provider !== fallback) {
             try {
-                const parts = [
-                    { text: analysisPrompt },
-                    ...base64Images.map(img => ({
-                        inlineData: {
-                            mimeType: 'image/png',
-                            data: img.split(',')[1] // Remove data:image/png;base64, prefix
-                        }
-                    }))
-                ];
-                
-                const model = googleAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
-                const result = await model.generateContent(parts);
-                
-                const response = await result.response;
-                const styleAnalysis = response.text();
-                console.log('Style analysis completed with Google Gemini');
-                return styleAnalysis;
+                const styleAnalysis = await provider.analyzeStyle(base64Images, analysisPrompt);
+                await billTextCall(provider, 'style_analysis', concept, styleAnalysis.tokenUsage, costs);
+                console.log(`Style analysis completed with ${provider.name}`);
+                await cacheStyle(cacheKey, { styleGuide: styleAnalysis.text, provider: provider.id, styleOnly: isUniqueConcept, referenceImages: analysedImages });
+                return { text: styleAnalysis.text, source: 'analysis' };
             } catch (error) {
-                console.error('Google Gemini analysis failed, falling back to OpenAI:', error);
-                // Fall back to OpenAI if Google fails
+                console.error(`${provider.name} analysis failed, falling back to ${fallback.name}:`, error);
             }
         }
         
-        // Use OpenAI for analysis (default or fallback)
-        const messages = [
-            {
-                role: "system",
-                content: "You are an expert art director analyzing robot designs to extract their visual style."
-            },
-            {
-                role: "user",
-                content: [
-                    {
-                        type: "text",
-                        text: analysisPrompt
-                    },
-                    ...base64Images.map(img => ({
-                        type: "image_url",
-                        image_url: {
-                            url: img,
-                            detail: "low"
-                        }
-                    }))
-                ]
-            }
-        ];
-        
-        const response = await openai.chat.completions.create({
-            model: "gpt-4o",
-            messages: messages,
-            max_tokens: 500
-        });
-        
-        const styleAnalysis = response.choices[0].message.content;
-        console.log('Style analysis completed with OpenAI');
-        return styleAnalysis;
+        // Use the fallback provider, or the vision model itself when there is none
+        const styleAnalysis = await fallback.analyzeStyle(base64Images, analysisPrompt);
+        await billTextCall(fallback, 'style_analysis', concept, styleAnalysis.tokenUsage, costs);
+        console.log(`Style analysis completed with ${fallback.name}`);
+        await cacheStyle(cacheKey, { styleGuide: styleAnalysis.text, provider: fallback.id, styleOnly: isUniqueConcept, referenceImages: analysedImages });
+        return { text: styleAnalysis.text, source: 'analysis' };
         
     } catch (error) {
         console.error('Error analyzing reference style:', error);
-        return getDefaultStyleDescription();
+        return { text: renderPrompt(promptTemplates, 'defaultStyle'), source: 'default' };
     }
 }
 
-// Default style description if analysis fails
-function getDefaultStyleDescription() {
-    return `Create a robot in a retro-futuristic style with:
-    - Weathered, matte metal surfaces with visible wear and patina
-    - Rounded, friendly proportions similar to Wall-E
-    - Large expressive eyes with subtle glow
-    - Muted color palette
-    - Visible mechanical details like joints, panels, and rivets
-    - Soft studio lighting on white background
-    - 3/4 view angle facing slightly left`;
+// The stored research notes for a concept and research prompt that this text model
+// may use, or null
+async function storedResearch(concept, model = DEFAULT_PROVIDER, promptTemplates = getPromptTemplates()) {
+    const note = await findResearchNote(concept, { promptHash: promptTemplates.templateHashes.research, offline: getProvider(model).offline });
+    if (note) {
+        console.log(`Using ${note.edited ? 'edited' : 'stored'} research notes for ${concept}`);
+        return { text: note.text, source: note.edited ? 'edited' : 'cache' };
+    }
+    return null;
 }
 
-// Research function using GPT-4 or Gemini
-async function researchConcept(concept, model = 'openai') {
+// Research function using the selected provider's text model. Stored notes for the
+// concept and this version's research prompt are used instead unless refresh is set;
+// new research is stored.
+// Resolves with { text, source } where source is research, cache, edited or default.
+async function researchConcept(concept, model = DEFAULT_PROVIDER, costs = {}, { refresh = false, promptTemplates = getPromptTemplates() } = {}) {
     try {
-        console.log(`Researching: ${concept} using ${model}`);
-        
-        const researchPrompt = `Research the concept "${concept}". 
-        
-        First, determine if this is:
-        A) A known programming language, framework, or technology (like Python, React, etc.)
-        B) A unique/custom concept that doesn't exist as a standard technology
+        if (!refresh) {
+            const stored = await storedResearch(concept, model, promptTemplates);
+            if (stored) {
+                return stored;
+            }
+        }
         
-        If it's A (known technology):
-        1. Official brand colors (hex codes if available)
-        2. Key visual characteristics or logo elements
-        3. Core philosophy or personality traits
-        4. Any associated imagery or metaphors
+        console.log(`Researching: ${concept} using ${model}`);
         
-        If it's B (unique concept like "Concurrency Checker"):
-        1. Break down what the concept might mean or do
-        2. Suggest visual metaphors that represent this concept
-        3. Recommend colors and design elements that would be appropriate
-        4. Ensure the suggestions are UNIQUE and don't copy existing tech brands
+        const researchPrompt = renderPrompt(promptTemplates, 'research', { concept });
+        const note = { promptHash: promptTemplates.templateHashes.research, promptVersion: promptTemplates.version };
         
-        Keep the response concise and focused on visual/design elements.`;
+        const provider = getProvider(model);
+        // A failed call is retried with the configured fallback provider, if any
+        const fallback = getProvider(stageFallback(provider.id) || provider.id);
         
-        if (model === 'google') {
-            // Use Google Gemini for research
+        if (provider !== fallback) {
             try {
-        const model = googleAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
-        const result = await model.generateContent(researchPrompt);
-                
-                const response = await result.response;
-                const research = response.text();
-                console.log('Research completed with Google Gemini:', research);
-                return research;
+                const research = await provider.research(researchPrompt);
+                await billTextCall(provider, 'research', concept, research.tokenUsage, costs);
+                console.log(`Research completed with ${provider.name}:`, research.text);
+                await saveResearchNote(concept, research.text, { ...note, provider: provider.id, offline: provider.offline });
+                return { text: research.text, source: 'research' };
             } catch (error) {
-                console.error('Google Gemini research failed, falling back to OpenAI:', error);
-                // Fall back to OpenAI if Google fails
+                console.error(`${provider.name} research failed, falling back to ${fallback.name}:`, error);
             }
         }
         
-        // Use OpenAI for research (default or fallback)
-        const response = await openai.chat.completions.create({
-            model: "gpt-4",
-            messages: [
-                {
-                    role: "system",
-                    content: "You are a helpful assistant that researches programming languages and technical concepts to understand their visual identity, brand colors, and key characteristics."
-                },
-                {
-                    role: "user",
-                    content: researchPrompt
-                }
-            ],
-            max_tokens: 300
-        });
-
-        const research = response.choices[0].message.content;
-        console.log('Research completed with OpenAI:', research);
-        return research;
+        // Use the fallback provider, or the research model itself when there is none
+        const research = await fallback.research(researchPrompt);
+        await billTextCall(fallback, 'research', concept, research.tokenUsage, costs);
+        console.log(`Research completed with ${fallback.name}:`, research.text);
+        await saveResearchNote(concept, research.text, { ...note, provider: fallback.id, offline: fallback.offline });
+        return { text: research.text, source: 'research' };
     } catch (error) {
         console.error('Research error:', error);
         // Fallback to basic prompt if research fails
-        return `Creating a robot for ${concept}`;
+        return { text: `Creating a robot for ${concept}`, source: 'default' };
+    }
+}
+
+// Run a research or style analysis once per key of textStages, a Map shared by the
+// providers of one comparison: a stage model they have in common is called, billed
+// and ledgered once, under the provider that got to it first. Without textStages
+// the call always runs.
+function sharedTextStage(textStages, key, run) {
+    if (!textStages) {
+        return run();
     }
+    if (!textStages.has(key)) {
+        textStages.set(key, run());
+    }
+    return textStages.get(key);
 }
 
 // Build the generation prompt (shared between models)
-async function buildGenerationPrompt(prompt, referenceImages, relatedRobots, extensiveThinking = true) {
+// referenceMode "style" means the references were chosen for their style alone, and
+// relatedRobots may include uploaded sketches, logos or mascots to turn into a robot.
+// A styleProfile ({ name, description }) is used as the style guide instead of
+// analysing the references. stageModels names the research and vision providers, and
+// promptTemplates is the template version the prompts are written with (lib/prompts.js).
+// textStages shares research and style analyses between compared providers.
+async function buildGenerationPrompt(prompt, referenceImages, relatedRobots, extensiveThinking = true, stageModels = resolveStageModels(DEFAULT_PROVIDER), onProgress = () => {}, referenceMode = 'auto', styleProfile = null, promptTemplates = getPromptTemplates(), textStages = null) {
         const thinkingStartTime = Date.now();
         
         // Check if this is a unique/non-standard concept (not a known programming language or tech)
         const isUniqueConcept = relatedRobots.length === 0;
         
-        const styleGuide = extensiveThinking ? await analyzeReferenceStyle(referenceImages, 'openai', isUniqueConcept) : getDefaultStyleDescription();
-        const research = extensiveThinking ? await researchConcept(prompt) : `Creating a robot for ${prompt}`;
+        let styleGuide = renderPrompt(promptTemplates, 'defaultStyle');
+        let styleSource = 'default';
+        let research = `Creating a robot for ${prompt}`;
+        let researchSource = 'default';
+        const textCosts = { style_analysis: 0, research: 0, quality_check: 0, estimated: false };
+        if (styleProfile) {
+            console.log(`Using style profile "${styleProfile.name}"`);
+            styleGuide = styleProfile.description;
+            styleSource = 'profile';
+        }
+        if (extensiveThinking) {
+            if (!styleProfile) {
+                onProgress('analyzing_references', `Analyzing ${Math.min(referenceImages.length, 8)} reference images for style...`);
+                ({ text: styleGuide, source: styleSource } = await sharedTextStage(textStages, `style:${stageModels.vision}`, () => analyzeReferenceStyle(referenceImages, stageModels.vision, isUniqueConcept, prompt, textCosts, promptTemplates)));
+            }
+            onProgress('researching', `Researching "${prompt}"...`);
+            ({ text: research, source: researchSource } = await sharedTextStage(textStages, `research:${stageModels.research}`, () => researchConcept(prompt, stageModels.research, textCosts, { promptTemplates })));
+        } else {
+            // Stored notes cost nothing, so fast mode uses them too
+            const stored = await storedResearch(prompt, stageModels.research, promptTemplates);
+            if (stored) {
+                ({ text: research, source: researchSource } = stored);
+            }
+        }
         
         const thinkingTime = Date.now() - thinkingStartTime;
         if (extensiveThinking) {
             console.log(`Thinking/Research completed in ${(thinkingTime / 1000).toFixed(1)}s`);
         }
         
-        // For unique concepts, we need to ensure the robot is distinctly different
-        const uniquenessInstruction = isUniqueConcept 
-            ? `\n⚠️ CRITICAL UNIQUENESS REQUIREMENT ⚠️
-This is "${prompt}" - a UNIQUE CONCEPT not found in existing robots or programming languages.
-
-MANDATORY: Create a COMPLETELY ORIGINAL robot design that:
-1. MUST BE DISTINCTLY DIFFERENT from ALL reference images shown
-2. Should NOT resemble any specific reference robot
-3. Use the reference images ONLY for understanding the general 3D rendering style and quality
-4. Create a UNIQUE form/shape/character that represents "${prompt}" conceptually
-5. DO NOT copy or closely imitate any reference robot's body shape, head design, or overall form
-6. Invent NEW design elements specific to "${prompt}"
-
-The reference images are provided ONLY to show the rendering quality and style (3D, materials, lighting) - NOT to copy their designs.
-Create something ENTIRELY NEW while maintaining the same professional 3D rendering quality.\n`
-            : '';
-
-        const relatedInfo = relatedRobots.length > 0 
-            ? `\nCRITICAL: The reference images include base robots for: ${relatedRobots.map(r => r.name).join(', ')}. 
-            
-KEY INSTRUCTION: The new "${prompt}" robot MUST maintain the CORE VISUAL IDENTITY of these base robots:
-- If the base is a snake head (like Python), this should also be a snake head
-- If the base is a particular shape/form, maintain that shape/form
-- Keep the fundamental character/creature type the same
-- Add variations and details specific to "${prompt}" but DO NOT change the core identity
-
-Think of this as creating a variant or evolution of the base robot, not a completely different robot.\n`
-            : uniquenessInstruction;
-            
-        const finalPrompt = `Create a 3D rendered robot based on the reference images provided. The robot MUST match the exact 3D rendering style, materials, and quality of the reference robots - NOT a drawing or illustration.
-
-CRITICAL: This should be a photorealistic 3D render, exactly like the reference images.
+        const uploadedDesigns = relatedRobots.filter(r => r.source === 'upload');
+        const finalPrompt = renderPrompt(promptTemplates, 'generation', {
+            concept: prompt,
+            conceptUpper: prompt.toUpperCase(),
+            styleGuide,
+            research,
+            relatedNames: relatedRobots.map(r => r.name).join(', '),
+            uploadedNames: uploadedDesigns.map(r => r.name).join(', '),
+            unique: isUniqueConcept,
+            styleOnly: referenceMode === 'style',
+            uploaded: uploadedDesigns.length > 0,
+            singleUpload: uploadedDesigns.length === 1
+        });
 
-ABSOLUTELY NO TEXT: The robot must have NO TEXT, NO LETTERS, NO WORDS, NO LABELS anywhere on it. Do NOT write "${prompt}" or any other text on the robot's body, head, or any part. The robot should be completely text-free, just like the reference images.
-${relatedInfo}
-STYLE TO MAINTAIN (from reference analysis):
-${styleGuide}
+    return { finalPrompt, research, researchSource, styleGuide, styleSource, thinkingTime, isUniqueConcept, textCosts, promptTemplates: { version: promptTemplates.version, hash: promptTemplates.hash } };
+}
 
-REQUIREMENTS:
-- MUST be a 3D render, NOT a drawing or illustration
-- Keep the EXACT same 3D rendering quality and style as references
-- Same material textures (metal, plastic, etc) as reference robots
-- Maintain similar proportions and mechanical details  
-- Use the same photorealistic lighting and shading
-- White background
-- Robot facing slightly left (3/4 view)
-- Single robot only, no additional objects
-- Square image composition
-- NO TEXT OR LABELS - absolutely no written words, letters, or numbers on the robot
+// Add up two token usage reports field by field
+function addTokenUsage(total, usage) {
+    const sum = { ...total };
+    for (const [key, value] of Object.entries(usage)) {
+        if (typeof value === 'number') {
+            sum[key] = (sum[key] || 0) + value;
+        }
+    }
+    sum.estimated = Boolean(total.estimated || usage.estimated);
+    return sum;
+}
 
-${prompt.toUpperCase()} SPECIFIC CUSTOMIZATION:
-${research}
+// Ask a vision model whether a generated image shows any text. Offline providers
+// have no vision model, so the check is skipped for them.
+async function detectImageText(imageBuffer, model, concept, costs, promptTemplates = getPromptTemplates()) {
+    const provider = getProvider(model);
+    if (provider.offline) {
+        return { passed: null, skipped: `${provider.name} has no vision model` };
+    }
+    
+    try {
+        const answer = await provider.analyzeStyle([await textCheckImage(imageBuffer)], renderPrompt(promptTemplates, 'textCheck'));
+        await billTextCall(provider, 'quality_check', concept, answer.tokenUsage, costs);
+        return parseTextCheck(answer.text);
+    } catch (error) {
+        console.error('Text check failed:', error);
+        return { passed: null, error: error.message };
+    }
+}
 
-${isUniqueConcept 
-    ? `REMEMBER: "${prompt}" is a UNIQUE concept - create an ORIGINAL robot design that doesn't copy any reference robot's form!`
-    : `IMPORTANT: This is "${prompt}" - create a VARIANT of the base robot(s) that maintains their core visual identity (same creature/form/shape) while adding elements specific to "${prompt}". Do NOT create a completely different robot - think of this as the same robot family with modifications.`}
+// Text, background and framing checks for a generated image (see lib/quality.js)
+async function checkImageQuality(imageBuffer, visionModel, concept, costs, promptTemplates = getPromptTemplates()) {
+    const { background, framing } = await checkComposition(imageBuffer);
+    const text = await detectImageText(imageBuffer, visionModel, concept, costs, promptTemplates);
+    const verdict = qualityVerdict({ text, background, framing });
+    console.log(`Quality check ${verdict.passed ? 'passed' : `failed: ${verdict.failures.join(', ')}`}`);
+    return verdict;
+}
 
-REMINDER: NO TEXT ON THE ROBOT - Do not write "${prompt}" or any text on the robot. Express the concept through design, colors, and form only.`;
+// Order generation attempts: passing the quality checks first, then not being a
+// near-duplicate, then the lowest similarity to the library
+function compareAttempts(a, b) {
+    const rank = attempt => [
+        attempt.quality && !attempt.quality.passed ? 0 : 1,
+        attempt.similarity?.nearDuplicate ? 0 : 1,
+        attempt.similarity ? -attempt.similarity.score : 0
+    ];
+    const [rankA, rankB] = [rank(a), rank(b)];
+    const index = rankA.findIndex((value, i) => value !== rankB[i]);
+    return index === -1 ? 0 : rankA[index] - rankB[index];
+}
 
-    return { finalPrompt, research, styleGuide, thinkingTime };
+// Build the shared prompt and generate an image with the selected provider.
+// At most provider.maxConcurrency generations run per provider; the rest wait their turn.
+// Refuses to start once the daily or monthly budget has been spent.
+// Checks: unique concepts are compared with the library for near-duplicates, and with
+// qualityCheck every image is checked for text, background and framing. A failing
+// image is regenerated up to similarityRetries / qualityRetries times; the best
+// attempt is kept and every attempt is billed.
+async function generateWithProvider(model, prompt, referenceImages, relatedRobots, extensiveThinking = true, onProgress = () => {}, { similarityRetries = 0, qualityCheck = true, qualityRetries = 0, seed = null, referenceMode = 'auto', styleProfile = null, researchModel = null, visionModel = null, promptVersion = null, textStages = null } = {}) {
+    const provider = getProvider(model);
+    
+    await assertWithinBudget();
+    
+    return withSlot(provider.id, provider.maxConcurrency, async () => {
+        const stageModels = resolveStageModels(provider.id, { researchModel, visionModel });
+        console.log(`Stage models: research ${stageModels.research}, vision ${stageModels.vision}, image ${stageModels.image}`);
+        
+        // Loaded once, so an edit made during the run doesn't mix two versions
+        const templates = getPromptTemplates(promptVersion);
+        const { finalPrompt, research, researchSource, styleGuide, styleSource, thinkingTime, isUniqueConcept, textCosts, promptTemplates } = await buildGenerationPrompt(prompt, referenceImages, relatedRobots, extensiveThinking, stageModels, onProgress, referenceMode, styleProfile, templates, textStages);
+        
+        // Generate, check, and regenerate with notes on what went wrong while a check
+        // fails and its retries last. The best attempt is kept.
+        const attempts = [];
+        let best = null;
+        let tokenUsage = null;
+        let retryNotes = [];
+        let similarityRetriesLeft = similarityRetries;
+        let qualityRetriesLeft = qualityRetries;
+        
+        while (true) {
+            if (attempts.length === 0) {
+                onProgress('generating', `Generating image with ${provider.name}...`);
+            } else {
+                await assertWithinBudget();
+            }
+            const attemptPrompt = retryNotes.length > 0 ? `${finalPrompt}\n\n${retryNotes.join('\n')}` : finalPrompt;
+            const result = await provider.generate(attemptPrompt, referenceImages, { seed });
+            await recordCost({ model: provider.id, stage: 'image', concept: prompt, cost: result.tokenUsage.estimated_cost, tokenUsage: result.tokenUsage });
+            tokenUsage = tokenUsage ? addTokenUsage(tokenUsage, result.tokenUsage) : result.tokenUsage;
+            
+            const attempt = { result, similarity: null, quality: null };
+            if (isUniqueConcept) {
+                onProgress('checking_similarity', 'Comparing with existing robots...');
+                attempt.similarity = await checkSimilarity(result.imageBuffer);
+            }
+            if (qualityCheck) {
+                onProgress('checking_quality', 'Checking for text, background and framing...');
+                attempt.quality = await checkImageQuality(result.imageBuffer, stageModels.vision, prompt, textCosts, templates);
+            }
+            attempts.push(attempt);
+            if (!best || compareAttempts(attempt, best) > 0) {
+                best = attempt;
+            }
+            
+            retryNotes = [];
+            const problems = [];
+            if (attempt.similarity?.nearDuplicate && similarityRetriesLeft > 0) {
+                similarityRetriesLeft--;
+                const closest = attempt.similarity.matches[0];
+                problems.push(`too similar to ${closest.file} (${(closest.score * 100).toFixed(0)}%)`);
+                retryNotes.push(`A previous attempt looked almost identical to an existing robot (${path.basename(closest.file, path.extname(closest.file))}). Change the body shape, head and silhouette so this robot is clearly different from it.`);
+            }
+            if (attempt.quality && !attempt.quality.passed && qualityRetriesLeft > 0) {
+                qualityRetriesLeft--;
+                problems.push(`failed ${attempt.quality.failures.join(', ')} check`);
+                retryNotes.push(...qualityRetryNotes(attempt.quality));
+            }
+            if (retryNotes.length === 0) {
+                break;
+            }
+            onProgress('generating', `Attempt ${attempts.length} ${problems.join(' and ')}, regenerating...`);
+        }
+        
+        const result = best.result;
+        const similarity = best.similarity && {
+            ...best.similarity,
+            attempts: attempts.map(attempt => ({ score: attempt.similarity.score, closest: attempt.similarity.matches[0]?.file || null }))
+        };
+        const quality = best.quality && {
+            ...best.quality,
+            attempts: attempts.map(attempt => ({ passed: attempt.quality.passed, failures: attempt.quality.failures }))
+        };
+        
+        // Everything this generation was billed for, text stages and retries included
+        const costBreakdown = {
+            styleAnalysis: textCosts.style_analysis,
+            research: textCosts.research,
+            qualityCheck: textCosts.quality_check,
+            image: tokenUsage.estimated_cost,
+            total: textCosts.style_analysis + textCosts.research + textCosts.quality_check + tokenUsage.estimated_cost,
+            estimated: textCosts.estimated || Boolean(tokenUsage.estimated)
+        };
+        
+        return {
+            ...result,
+            tokenUsage,
+            cost: formatCost(tokenUsage.estimated_cost),
+            similarity,
+            quality,
+            costBreakdown,
+            totalCost: formatCost(costBreakdown.total),
+            research,
+            researchSource,
+            styleGuide,
+            styleSource,
+            styleProfile: styleProfile ? styleProfile.name : null,
+            stageModels,
+            promptTemplates,
+            finalPrompt,
+            isUniqueConcept,
+            thinkingTime
+        };
+    }, position => onProgress('queued', `Waiting for a free ${provider.name} slot (position ${position})...`));
 }
 
-// Generate image using Google Gemini
-async function generateWithGoogle(prompt, referenceImages, relatedRobots, extensiveThinking = true) {
-    console.log('Using Google Gemini 2.5 Flash Image (Nano Banana) for generation');
-    
-    const { finalPrompt, research, thinkingTime } = await buildGenerationPrompt(prompt, referenceImages, relatedRobots, extensiveThinking);
-    
-    // Process reference images for Google
-    const referenceBase64Images = [];
-    console.log(`Processing ${referenceImages.length} reference images for Google...`);
-    
-    for (let i = 0; i < Math.min(referenceImages.length, 10); i++) { // Google now supports up to 10 images
-        const imagePath = referenceImages[i];
-        try {
-            const buffer = await sharp(imagePath)
-                .resize(512, 512, { fit: 'inside', withoutEnlargement: true })
-                .jpeg({ quality: 85 })
-                .toBuffer();
-            referenceBase64Images.push(buffer.toString('base64'));
-            console.log(`Processed reference ${i + 1}: ${path.basename(imagePath)}`);
-        } catch (err) {
-            console.warn(`Failed to process reference image ${imagePath}: ${err}`);
+// Find related robots for reference in the library index. excludeOwnVersions leaves
+// the prompt's own generated versions out, so a forced new version is neither based
+// on nor descended from the versions before it.
+async function findRelatedRobots(prompt, { excludeOwnVersions = false } = {}) {
+    const relatedRobots = [];
+    
+    try {
+        // Pick base robots by name, alias, near-miss spelling or concept family
+        const robots = await libraryRobots({ excludeVersionsOf: excludeOwnVersions ? prompt : null });
+        for (const robot of matchRelatedRobots(prompt, robots)) {
+            relatedRobots.push(robot);
+            console.log(`Found ${robot.reason.toUpperCase()} match robot: ${robot.name} (${robot.via.join(' -> ')})`);
         }
+    } catch (error) {
+        console.error('Error finding related robots:', error);
     }
     
-    // Build content array for Google
-    const parts = [
-        { text: finalPrompt }
-    ];
+    return relatedRobots;
+}
+
+// Base robots and the reference images sent with them. Related robots are the only
+// references when there are any; a unique concept gets style references picked by
+// the seed. Pinned references replace either choice, and uploads are always added.
+// The reference mode then decides which of them count as base robots (see
+// lib/references.js): in auto mode the found ones, so pinning alone leaves the
+// prompt as it was. A chosen parentRobot is the base robot instead of any found.
+async function selectReferences(prompt, seed, { pinnedReferences = null, uploads = [], referenceMode = 'auto', parentRobot = null, excludeOwnVersions = false } = {}) {
+    let foundRobots;
+    if (parentRobot) {
+        foundRobots = describeReferences([parentRobot], 'parent');
+        console.log(`Using ${foundRobots[0].name} as the chosen parent robot`);
+    } else {
+        foundRobots = await findRelatedRobots(prompt, { excludeOwnVersions });
+    }
     
-    // Add reference images
-    for (const base64Image of referenceBase64Images) {
-        parts.push({
-            inlineData: {
-                mimeType: 'image/jpeg',
-                data: base64Image
-            }
-        });
+    let referenceImages = [];
+    if (pinnedReferences) {
+        console.log(`Using ${pinnedReferences.length} pinned reference images`);
+        referenceImages = pinnedReferences;
+    } else if (foundRobots.length > 0) {
+        console.log(`Using ${foundRobots.length} related robots as ONLY references (no random filling)`);
+        referenceImages = foundRobots.map(r => r.path);
+    } else {
+        console.log(`⚠️ UNIQUE CONCEPT DETECTED: "${prompt}" - No related robots found`);
+        console.log('Loading seeded reference images for STYLE ONLY (not design copying)');
+        referenceImages = await loadReferenceImages(seed, 10);
+    }
+    if (uploads.length > 0) {
+        console.log(`Adding ${uploads.length} uploaded reference images`);
+        referenceImages = [...referenceImages, ...uploads];
     }
     
-    // Generate with Google Gemini
-    const model = googleAI.getGenerativeModel({ model: 'gemini-2.5-flash-image-preview' });
-    const result = await model.generateContent(parts);
+    let relatedRobots = foundRobots;
+    if (referenceMode === 'style') {
+        console.log('Reference mode: STYLE ONLY, no base robots');
+        relatedRobots = [];
+    } else if (referenceMode === 'identity') {
+        relatedRobots = [...(pinnedReferences ? describeReferences(pinnedReferences) : foundRobots), ...describeReferences(uploads)];
+        console.log(`Reference mode: IDENTITY of ${relatedRobots.map(r => r.name).join(', ') || 'no references'}`);
+    }
+    return { relatedRobots, referenceImages };
+}
+
+// Validate a generation request, returning an error message or null
+function validateGenerationRequest({ prompt, model = DEFAULT_PROVIDER, models, force, removeBackground, similarityRetries, qualityCheck, qualityRetries, seed, references, uploads, referenceMode, styleProfile, researchModel, visionModel, parentRobot, promptVersion }) {
+    if (!prompt) {
+        return 'Prompt is required';
+    }
     
-    // Extract the generated image from the response
-    let imageData = null;
-    const response = await result.response;
-    for (const candidate of response.candidates || []) {
-        for (const part of candidate.content.parts || []) {
-            if (part.inlineData) {
-                imageData = part.inlineData.data;
-                break;
-            }
-        }
-        if (imageData) break;
+    const requestedModels = model === COMPARE_MODEL ? (models || []) : [model];
+    const unknownModel = requestedModels.find(id => !hasProvider(id));
+    if (unknownModel) {
+        return `Unknown model: ${unknownModel}`;
     }
     
-    if (!imageData) {
-        throw new Error('No image data returned from Google Gemini');
+    if (force !== undefined && typeof force !== 'boolean') {
+        return 'force must be true or false';
     }
     
-    // Calculate cost for Google Gemini
-    // $30 per 1 million output tokens, each image is 1290 tokens
-    const imageTokens = 1290;
-    const cost = (imageTokens / 1000000) * 30.00;
+    if (removeBackground !== undefined && typeof removeBackground !== 'boolean') {
+        return 'removeBackground must be true or false';
+    }
     
-    console.log('Google Gemini generation completed');
-    console.log(`Cost: $${cost.toFixed(4)} (${imageTokens} output tokens at $30/1M)`);
+    if (similarityRetries !== undefined && !(Number.isInteger(similarityRetries) && similarityRetries >= 0 && similarityRetries <= MAX_SIMILARITY_RETRIES)) {
+        return `similarityRetries must be a whole number from 0 to ${MAX_SIMILARITY_RETRIES}`;
+    }
     
-    return {
-        imageBuffer: Buffer.from(imageData, 'base64'),
-        research: research.substring(0, 200) + '...',
-        tokenUsage: {
-            prompt_tokens: 0, // Google doesn't charge for input in image generation
-            completion_tokens: 0,
-            total_tokens: 0,
-            image_tokens: imageTokens,
-            estimated_cost: cost
-        },
-        cost: `$${cost.toFixed(4)}`
-    };
-}
-
-// Generate image using OpenAI
-async function generateWithOpenAI(prompt, referenceImages, relatedRobots, extensiveThinking = true) {
-    console.log('Using OpenAI GPT-4o with image generation tool');
-    
-    const { finalPrompt, research, thinkingTime } = await buildGenerationPrompt(prompt, referenceImages, relatedRobots, extensiveThinking);
-    
-    // Process reference images for OpenAI
-    const referenceBase64Images = [];
-    console.log(`Processing ${referenceImages.length} reference images for OpenAI...`);
-    
-    for (let i = 0; i < referenceImages.length; i++) {
-        const imagePath = referenceImages[i];
-        try {
-            const buffer = await sharp(imagePath)
-                .resize(512, 512, { fit: 'inside', withoutEnlargement: true })
-                .jpeg({ quality: 85 })
-                .toBuffer();
-            referenceBase64Images.push(buffer.toString('base64'));
-            console.log(`Processed reference ${i + 1}: ${path.basename(imagePath)}`);
-        } catch (err) {
-            console.warn(`Failed to process reference image ${imagePath}: ${err}`);
-        }
+    if (qualityCheck !== undefined && typeof qualityCheck !== 'boolean') {
+        return 'qualityCheck must be true or false';
     }
     
-            // Build content array with text prompt and all reference images
-            const contentArray = [
-                {
-                    type: "input_text",
-                    text: finalPrompt
-                }
-            ];
-            
-            // Add all reference images
-            for (const base64Image of referenceBase64Images) {
-                contentArray.push({
-                    type: "input_image",
-                    image_url: `data:image/jpeg;base64,${base64Image}`
-                });
-            }
-            
-            // Use the Responses API with gpt-image-1
-    const response = await openai.responses.create({
-        model: "gpt-4o",
-                input: [
-                    {
-                        role: "user",
-                        content: contentArray
-                    }
-                ],
-                tools: [
-                    {
-                        type: "image_generation",
-                        quality: "high",
-                        size: "1024x1024",
-                input_fidelity: "high"
-                    }
-                ]
-            });
-
-        // Extract image data from Responses API response
-        const imageGenerationCalls = response.output?.filter(
-            output => output.type === 'image_generation_call'
-        ) || [];
-        
-        if (imageGenerationCalls.length === 0 || !imageGenerationCalls[0].result) {
-            throw new Error('No image data returned from OpenAI Responses API');
-        }
-        
-        const imageBase64Result = imageGenerationCalls[0].result;
-
-        // Calculate token usage and cost
-        let tokenInfo = {
-            prompt_tokens: 0,
-            completion_tokens: 0,
-            total_tokens: 0,
-            estimated_cost: 0
-        };
-
-        if (response.usage) {
-            tokenInfo.prompt_tokens = response.usage.prompt_tokens || 0;
-            tokenInfo.completion_tokens = response.usage.completion_tokens || 0;
-            tokenInfo.total_tokens = response.usage.total_tokens || 0;
-            
-            // Calculate cost based on GPT-image-1 pricing
-            const inputCost = (tokenInfo.prompt_tokens / 1000000) * 10.00;
-            const outputCost = (tokenInfo.completion_tokens / 1000000) * 40.00;
-            
-        // Image generation tokens
-            const imageTokens = 4160; // for high quality 1024x1024
-            const imageCost = (imageTokens / 1000000) * 40.00;
-            
-            tokenInfo.estimated_cost = inputCost + outputCost + imageCost;
-        tokenInfo.image_tokens = imageTokens;
-            
-        console.log('OpenAI Token Usage:', {
-                prompt_tokens: tokenInfo.prompt_tokens,
-                completion_tokens: tokenInfo.completion_tokens,
-                image_tokens: imageTokens,
-                total_tokens: tokenInfo.total_tokens + imageTokens,
-                total_cost: `$${tokenInfo.estimated_cost.toFixed(4)}`
-            });
-        } else {
-        // Estimate if no usage data
-        const imageTokens = 4160;
-        const estimatedPromptTokens = 500;
-            const inputCost = (estimatedPromptTokens / 1000000) * 10.00;
-            const imageCost = (imageTokens / 1000000) * 40.00;
-            tokenInfo.estimated_cost = inputCost + imageCost;
-        tokenInfo.image_tokens = imageTokens;
+    if (qualityRetries !== undefined && !(Number.isInteger(qualityRetries) && qualityRetries >= 0 && qualityRetries <= MAX_QUALITY_RETRIES)) {
+        return `qualityRetries must be a whole number from 0 to ${MAX_QUALITY_RETRIES}`;
     }
     
-    return {
-        imageBuffer: Buffer.from(imageBase64Result, 'base64'),
-        research: research.substring(0, 200) + '...',
-        tokenUsage: tokenInfo,
-        cost: `$${tokenInfo.estimated_cost.toFixed(4)}`
-    };
-}
-
-// Find related robots for reference
-async function findRelatedRobots(prompt) {
-    const relatedRobots = [];
-    const generatedDir = path.join(__dirname, 'Generated');
-    const referenceDir = path.join(__dirname, 'Reference Images');
-    const secondaryReferenceDir = path.join(__dirname, 'Secondary Reference Images');
+    if (seed !== undefined && seed !== null && !isValidSeed(seed)) {
+        return `seed must be a whole number from 0 to ${MAX_SEED}`;
+    }
     
-    try {
-        const generatedFiles = await fs.readdir(generatedDir);
-        const referenceFiles = await fs.readdir(referenceDir);
-        
-        // Also read Secondary Reference Images folder
-        let secondaryReferenceFiles = [];
-        try {
-            secondaryReferenceFiles = await fs.readdir(secondaryReferenceDir);
-        } catch (error) {
-            console.log('Secondary Reference Images folder not found or inaccessible');
-        }
-        
-        // Extract potential robot names from the prompt
-        const promptWords = prompt.toLowerCase().split(/[\s\-_,&+]/);
-        const promptClean = prompt.toLowerCase().replace(/[^a-z0-9]/gi, '');
-        
-        // Get all existing robots
-        const allExistingRobots = [];
-        
-        for (const file of generatedFiles) {
-            if (file.endsWith('.png') || file.endsWith('.jpg') || file.endsWith('.jpeg')) {
-                allExistingRobots.push({
-                    name: path.basename(file, path.extname(file)).replace(/_\d{13}$/, ''),
-                    path: path.join(generatedDir, file),
-                    source: 'generated'
-                });
-            }
-        }
-        
-        for (const file of referenceFiles) {
-            if (file.endsWith('.png') || file.endsWith('.jpg') || file.endsWith('.jpeg')) {
-                allExistingRobots.push({
-                    name: path.basename(file, path.extname(file)),
-                    path: path.join(referenceDir, file),
-                    source: 'reference'
-                });
-            }
-        }
-        
-        // Add robots from Secondary Reference Images folder
-        for (const file of secondaryReferenceFiles) {
-            if (file.endsWith('.png') || file.endsWith('.jpg') || file.endsWith('.jpeg')) {
-                allExistingRobots.push({
-                    name: path.basename(file, path.extname(file)),
-                    path: path.join(secondaryReferenceDir, file),
-                    source: 'secondary_reference'
-                });
-            }
+    if (references !== undefined && references !== null && !(Array.isArray(references) && references.length > 0 && references.length <= MAX_PINNED_REFERENCES && references.every(reference => typeof reference === 'string' && reference.trim()))) {
+        return `references must be a list of 1 to ${MAX_PINNED_REFERENCES} image filenames`;
+    }
+    
+    if (uploads !== undefined && uploads !== null && !(Array.isArray(uploads) && uploads.length <= MAX_UPLOADS && uploads.every(id => typeof id === 'string' && id.trim()))) {
+        return `uploads must be a list of up to ${MAX_UPLOADS} upload ids`;
+    }
+    
+    if (referenceMode !== undefined && !REFERENCE_MODES.includes(referenceMode)) {
+        return `referenceMode must be one of ${REFERENCE_MODES.join(', ')}`;
+    }
+    
+    if (styleProfile !== undefined && styleProfile !== null && !(typeof styleProfile === 'string' && styleProfile.trim())) {
+        return 'styleProfile must be the name of a style profile';
+    }
+    
+    for (const [field, value] of Object.entries({ researchModel, visionModel })) {
+        if (value !== undefined && value !== null && !isStageModel(value)) {
+            return `${field} must be a model id or "image"`;
         }
-        
-        // Look for related robots
-        let foundSpecificMatch = false;
-        
-        // Try exact match
-        for (const robot of allExistingRobots) {
-            const robotNameClean = robot.name.toLowerCase().replace(/[^a-z0-9]/gi, '');
-            if (robotNameClean === promptClean) {
-                relatedRobots.push(robot);
-                console.log(`Found EXACT match robot: ${robot.name}`);
-                foundSpecificMatch = true;
-                break;
-            }
+    }
+    
+    if (parentRobot !== undefined && parentRobot !== null) {
+        if (!(typeof parentRobot === 'string' && parentRobot.trim())) {
+            return 'parentRobot must be an image filename';
         }
-        
-        // If no exact match, look for word matches
-        if (!foundSpecificMatch) {
-            const foundBaseRobots = new Set();
-            
-            for (const word of promptWords) {
-                const wordClean = word.replace(/[^a-z0-9]/gi, '').toLowerCase();
-                if (wordClean.length < 2) continue;
-                
-                for (const robot of allExistingRobots) {
-                    const robotNameClean = robot.name.toLowerCase().replace(/[^a-z0-9]/gi, '');
-                    
-                    if (robotNameClean === wordClean) {
-                        if (!foundBaseRobots.has(robotNameClean)) {
-                            foundBaseRobots.add(robotNameClean);
-                            relatedRobots.push(robot);
-                            console.log(`Found BASE robot: ${robot.name}`);
-                        }
-                        break;
-                    }
-                }
-            }
+        if (referenceMode === 'style') {
+            return 'parentRobot cannot be combined with referenceMode "style"';
         }
-    } catch (error) {
-        console.error('Error finding related robots:', error);
     }
     
-    return relatedRobots;
+    if (promptVersion !== undefined && promptVersion !== null && !hasPromptVersion(promptVersion)) {
+        return `Unknown prompt template version: ${promptVersion}`;
+    }
+    
+    return null;
 }
 
-// Generate image endpoint
-app.post('/api/generate', async function(req, res) {
-    try {
-        const { prompt, model = 'openai', extensiveThinking = true } = req.body;
-        
-        if (!prompt) {
-            return res.status(400).json({ error: 'Prompt is required' });
+// Save a transparent copy of a gallery image and note it in the image's metadata
+async function createTransparentVariant(filename) {
+    const transparent = await saveTransparentVariant(filename);
+    const metadata = await readMetadata(filename);
+    if (metadata && !metadata.transparent) {
+        await writeMetadata(filename, { ...metadata, transparent });
+    }
+    return transparent;
+}
+
+// Run the full generation pipeline and resolve with the API response body. With
+// removeBackground every resulting image (new or cached) also gets a transparent
+// PNG/WebP copy, listed under `transparent` in the response.
+async function runGeneration(params, onProgress = () => {}) {
+    const response = await findOrGenerateRobot(params, onProgress);
+    if (!params.removeBackground) {
+        return response;
+    }
+    
+    onProgress('removing_background', 'Removing background...');
+    if (response.results) {
+        for (const result of Object.values(response.results).filter(result => result.success)) {
+            result.transparent = await createTransparentVariant(result.filename);
         }
+    } else {
+        response.transparent = await createTransparentVariant(response.filename);
+    }
+    return response;
+}
 
-        console.log(`Generating robot for: ${prompt} using ${model}${extensiveThinking ? ' with extensive thinking' : ' (fast mode)'}`);
+// Cache checks, reference selection, generation and saving. Phases are reported
+// through onProgress(phase, message). force skips the cache and reference copies
+// so a new version is always generated. similarityRetries is how many times a
+// unique concept that comes out as a near-duplicate of an existing robot is regenerated;
+// qualityCheck and qualityRetries do the same for the text, background and framing checks.
+// seed picks the style references and seeds providers that support it (derived from
+// the prompt when omitted, or random with force); references pins the reference images instead. Both are
+// returned and stored so the run can be replayed. uploads adds uploaded images to the
+// references and referenceMode weights them as style only or identity. styleProfile
+// names a saved style guide to use instead of analysing the references. researchModel
+// and visionModel override the configured research and vision models (lib/stages.js).
+// parentRobot names a library image to derive the robot from instead of matching the
+// prompt against the library; the lineage is stored either way (lib/lineage.js).
+// promptVersion picks the prompt templates (lib/prompts.js).
+async function findOrGenerateRobot({ prompt, model = DEFAULT_PROVIDER, models, extensiveThinking = true, force = false, similarityRetries = defaultSimilarityRetries(), qualityCheck = true, qualityRetries = defaultQualityRetries(), seed = null, references = null, uploads = null, referenceMode = 'auto', styleProfile = null, researchModel = null, visionModel = null, parentRobot = null, promptVersion = null }, onProgress = () => {}) {
+    seed = seed ?? defaultSeed(prompt, force);
+    const selection = {
+        pinnedReferences: references ? await resolvePinnedReferences(references) : null,
+        uploads: uploads ? await resolveUploads(uploads) : [],
+        referenceMode,
+        parentRobot: parentRobot ? await resolveParentRobot(parentRobot) : null,
+        // A new version starts from the library, not from the versions before it
+        excludeOwnVersions: force
+    };
+    const profile = styleProfile ? await findStyleProfile(styleProfile) : null;
+    if (styleProfile && !profile) {
+        throw new StyleProfileError(`Unknown style profile: ${styleProfile}`, 400);
+    }
+    const options = { similarityRetries, qualityCheck, qualityRetries, seed, referenceMode, styleProfile: profile, researchModel, visionModel, promptVersion };
+    console.log(`Generating robot for: ${prompt} using ${model}${extensiveThinking ? ' with extensive thinking' : ' (fast mode)'}${force ? ', forcing a new version' : ''} (seed ${seed})`);
+    
+    // Comparison mode - generate with every selected provider in parallel
+    if (model === COMPARE_MODEL) {
+        const providers = comparisonProviders(models);
+        console.log(`Generating with ${providers.length} models in parallel...`);
         
-        // Handle "both" option - generate with both models in parallel
-        if (model === 'both') {
-            console.log('Generating with both models in parallel...');
-            
-            // Check for cached versions first
-            const normalizedPrompt = prompt.toLowerCase().replace(/[^a-z0-9]/gi, '_');
-            const generatedDir = path.join(__dirname, 'Generated');
-            const generatedFiles = await fs.readdir(generatedDir);
-            
-            // Look for existing OpenAI and Google versions
-            const openaiCached = generatedFiles.find(file => {
-                const fileName = path.basename(file, path.extname(file)).toLowerCase();
-                // Remove timestamp suffix if present
-                const fileNameWithoutTimestamp = fileName.replace(/_\d{13}$/, '');
-                // Check for exact match with model suffix
-                return fileNameWithoutTimestamp === normalizedPrompt + '_openai';
-            });
-            
-            const googleCached = generatedFiles.find(file => {
-                const fileName = path.basename(file, path.extname(file)).toLowerCase();
-                // Remove timestamp suffix if present
-                const fileNameWithoutTimestamp = fileName.replace(/_\d{13}$/, '');
-                // Check for exact match with model suffix
-                return fileNameWithoutTimestamp === normalizedPrompt + '_google';
-            });
-            
-            const results = {};
-            const promises = [];
-            
-            // Prepare shared resources
-            const relatedRobots = await findRelatedRobots(prompt);
-            let referenceImages = [];
-            if (relatedRobots.length > 0) {
-                console.log(`Using ${relatedRobots.length} related robots as ONLY references (no random filling)`);
-                referenceImages = relatedRobots.map(r => r.path);
-            } else {
-                console.log(`⚠️ UNIQUE CONCEPT DETECTED: "${prompt}" - No related robots found`);
-                console.log('Loading random reference images for STYLE ONLY (not design copying)');
-                referenceImages = await loadReferenceImages(10);
-            }
-            
-            // Generate with OpenAI (or use cache)
-            if (openaiCached) {
-                console.log(`Found cached OpenAI image: ${openaiCached}`);
-                results.openai = {
-                    success: true,
-                    filename: openaiCached,
-                    cached: true,
-                    cost: '$0.0000'
-                };
-            } else {
-                promises.push(
-                    generateWithOpenAI(prompt, referenceImages, relatedRobots, extensiveThinking)
-                        .then(result => {
-                            const filenameBase = `${normalizedPrompt}_openai_${Date.now()}`;
-                            return saveProcessedImage(result.imageBuffer, filenameBase).then((filename) => {
-                                console.log(`OpenAI image saved as: ${filename}`);
-                                results.openai = {
-                                    success: true,
-                                    filename: filename,
-                                    cost: result.cost,
-                                    tokenUsage: result.tokenUsage
-                                };
-                            });
-                        })
-                        .catch(error => {
-                            console.error('OpenAI generation failed:', error);
-                            results.openai = {
-                                success: false,
-                                error: error.message
-                            };
-                        })
-                );
+        // Check for cached versions first
+        onProgress('checking_cache', force ? 'Skipping cache, generating new versions...' : 'Checking for existing robots...');
+        const normalizedPrompt = prompt.toLowerCase().replace(/[^a-z0-9]/gi, '_');
+        const generatedFiles = await libraryFiles('generated');
+        
+        // A canonical version stands in for the provider that made it
+        const canonical = force ? null : await getCanonicalVersion(prompt);
+        const canonicalModel = canonical ? (await readMetadata(canonical))?.model : null;
+        
+        const results = {};
+        
+        // Prepare shared resources
+        onProgress('finding_references', 'Finding related robots and reference images...');
+        const { relatedRobots, referenceImages } = await selectReferences(prompt, seed, selection);
+        const lineage = await describeLineage(prompt, relatedRobots);
+        // Research and style analysis are resolved once for the whole comparison
+        const textStages = new Map();
+        
+        await Promise.all(providers.map(provider => {
+            // Look for an existing version from this provider
+            let cached = null;
+            if (!force) {
+                cached = canonicalModel === provider.id
+                    ? canonical
+                    : findOldestFile(generatedFiles, `${normalizedPrompt}_${provider.id}`);
             }
             
-            // Generate with Google (or use cache)
-            if (googleCached) {
-                console.log(`Found cached Google image: ${googleCached}`);
-                results.google = {
+            if (cached) {
+                console.log(`Found cached ${provider.name} image: ${cached}`);
+                results[provider.id] = {
                     success: true,
-                    filename: googleCached,
+                    filename: cached,
                     cached: true,
                     cost: '$0.0000'
                 };
-            } else {
-                promises.push(
-                    generateWithGoogle(prompt, referenceImages, relatedRobots, extensiveThinking)
-                        .then(result => {
-                            const filenameBase = `${normalizedPrompt}_google_${Date.now()}`;
-                            return saveProcessedImage(result.imageBuffer, filenameBase).then((filename) => {
-                                console.log(`Google image saved as: ${filename}`);
-                                results.google = {
-                                    success: true,
-                                    filename: filename,
-                                    cost: result.cost,
-                                    tokenUsage: result.tokenUsage
-                                };
-                            });
-                        })
-                        .catch(error => {
-                            console.error('Google generation failed:', error);
-                            results.google = {
-                                success: false,
-                                error: error.message
-                            };
-                        })
-                );
+                return Promise.resolve();
             }
             
-            // Wait for all generations to complete
-            await Promise.all(promises);
-            
-            // Return combined results
-            res.json({
-                success: true,
-                results: results,
-                research: `Generated images for "${prompt}" using both models`
-            });
-            return;
-        }
+            return generateWithProvider(provider.id, prompt, referenceImages, relatedRobots, extensiveThinking, onProgress, { ...options, textStages })
+                .then(result => {
+                    onProgress('saving', `Saving ${provider.name} image...`);
+                    const filenameBase = `${normalizedPrompt}_${provider.id}_${Date.now()}`;
+                    return saveGeneratedImage(result.imageBuffer, filenameBase).then(async (filename) => {
+                        console.log(`${provider.name} image saved as: ${filename}`);
+                        await writeMetadata(filename, createGenerationRecord({
+                            filename,
+                            prompt,
+                            model: provider.id,
+                            extensiveThinking,
+                            relatedRobots,
+                            referenceImages,
+                            seed,
+                            pinnedReferences: Boolean(selection.pinnedReferences),
+                            referenceMode,
+                            lineage,
+                            generation: result
+                        }));
+                        results[provider.id] = {
+                            success: true,
+                            filename: filename,
+                            cost: result.cost,
+                            tokenUsage: result.tokenUsage,
+                            costBreakdown: result.costBreakdown,
+                            totalCost: result.totalCost,
+                            similarity: result.similarity,
+                            quality: result.quality,
+                            research: result.research,
+                            researchSource: result.researchSource,
+                            styleSource: result.styleSource,
+                            styleProfile: result.styleProfile,
+                            stageModels: result.stageModels,
+                            promptTemplates: result.promptTemplates
+                        };
+                    });
+                })
+                .catch(error => {
+                    console.error(`${provider.name} generation failed:`, error);
+                    results[provider.id] = {
+                        success: false,
+                        error: error.message
+                    };
+                });
+        }));
         
-        // First check if we already have this robot
-        const normalizedPrompt = prompt.toLowerCase().replace(/[^a-z0-9]/gi, '_');
+        // Return combined results
+        return {
+            success: true,
+            results: results,
+            seed,
+            referenceImages: referenceImages.map(file => path.relative(__dirname, file)),
+            lineage,
+            research: `Generated images for "${prompt}" using ${providers.map(p => p.name).join(', ')}`
+        };
+    }
+    
+    const normalizedPrompt = prompt.toLowerCase().replace(/[^a-z0-9]/gi, '_');
+    
+    // First check if we already have this robot, unless a new version was asked for
+    if (!force) {
+        onProgress('checking_cache', 'Checking for an existing robot...');
         
-        // Check in Generated folder
-        const generatedDir = path.join(__dirname, 'Generated');
-        const generatedFiles = await fs.readdir(generatedDir);
-        const existingGenerated = generatedFiles.find(file => {
-            const fileName = path.basename(file, path.extname(file)).toLowerCase();
-            // Remove timestamp suffix if present (e.g., "_1758663007797")
-            const fileNameWithoutTimestamp = fileName.replace(/_\d{13}$/, '');
-            // Check for exact match only (don't remove model suffixes here - those are separate images)
-            return fileNameWithoutTimestamp === normalizedPrompt;
-        });
+        // The canonical or oldest exact match in Generated/ (model-suffixed comparison
+        // images are separate robots), else a library image with the prompt's name
+        const existing = await findExistingRobot(prompt);
         
-        if (existingGenerated) {
-            console.log(`Found existing generated robot: ${existingGenerated}`);
-            res.json({
+        if (existing && existing.tier === 'generated') {
+            console.log(`Found existing generated robot: ${existing.file}`);
+            return {
                 success: true,
-                filename: existingGenerated,
+                filename: existing.file,
                 research: `Using existing generated robot for ${prompt}`,
                 cached: true,
                 tokenUsage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, estimated_cost: 0 },
                 cost: '$0.0000'
-            });
-            return;
+            };
         }
         
-        // Check in Reference Images folder
-        const referenceDir = path.join(__dirname, 'Reference Images');
-        const referenceFiles = await fs.readdir(referenceDir);
-        const existingReference = referenceFiles.find(file => {
-            const fileName = path.basename(file, path.extname(file)).toLowerCase();
-            const searchTerm = prompt.toLowerCase().replace(/\s+/g, '').replace(/[^a-z0-9]/gi, '');
-            const fileNameClean = fileName.replace(/[^a-z0-9]/gi, '').toLowerCase();
-            // Only exact match, not substring
-            return fileNameClean === searchTerm;
-        });
-        
-        if (existingReference) {
-            console.log(`Found existing reference robot: ${existingReference}`);
-            const sourceFile = path.join(referenceDir, existingReference);
-            const imageBuffer = await fs.readFile(sourceFile);
-            const filename = await saveProcessedImage(imageBuffer, `${normalizedPrompt}_${Date.now()}`);
-
-            res.json({
+        // A library robot is copied into Generated/ like a generation
+        if (existing) {
+            const label = existing.tier.replace(/_/g, ' ');
+            console.log(`Found existing ${label} robot: ${existing.file}`);
+            const imageBuffer = await fs.readFile(existing.path);
+            const filename = await saveGeneratedImage(imageBuffer, `${normalizedPrompt}_${Date.now()}`);
+            await writeMetadata(filename, createGenerationRecord({ filename, prompt, source: existing.tier, sourceFile: existing.path }));
+            
+            return {
                 success: true,
                 filename: filename,
-                research: `Using existing reference robot for ${prompt}`,
+                research: `Using existing ${label} robot for ${prompt}`,
                 cached: true,
-                source: 'reference',
+                source: existing.tier,
                 tokenUsage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, estimated_cost: 0 },
                 cost: '$0.0000'
-            });
-            return;
+            };
         }
-        
-        // Check in Secondary Reference Images folder
-        const secondaryReferenceDir = path.join(__dirname, 'Secondary Reference Images');
-        try {
-            const secondaryReferenceFiles = await fs.readdir(secondaryReferenceDir);
-            const existingSecondaryReference = secondaryReferenceFiles.find(file => {
-                const fileName = path.basename(file, path.extname(file)).toLowerCase();
-                const searchTerm = prompt.toLowerCase().replace(/\s+/g, '').replace(/[^a-z0-9]/gi, '');
-                const fileNameClean = fileName.replace(/[^a-z0-9]/gi, '').toLowerCase();
-                // Only exact match, not substring
-                return fileNameClean === searchTerm;
-            });
-            
-            if (existingSecondaryReference) {
-                console.log(`Found existing secondary reference robot: ${existingSecondaryReference}`);
-                const sourceFile = path.join(secondaryReferenceDir, existingSecondaryReference);
-                const imageBuffer = await fs.readFile(sourceFile);
-                const filename = await saveProcessedImage(imageBuffer, `${normalizedPrompt}_${Date.now()}`);
+    }
+    
+    // If no existing robot found, proceed with generation
+    console.log('No existing robot found, generating new one...');
+    
+    // Track timing
+    const overallStartTime = Date.now();
+    let thinkingTime = 0;
+    let generationTime = 0;
+    
+    // Start thinking phase timing
+    const thinkingStartTime = Date.now();
+    
+    // Find related robots and load reference images
+    onProgress('finding_references', 'Finding related robots and reference images...');
+    const { relatedRobots, referenceImages } = await selectReferences(prompt, seed, selection);
+    const lineage = await describeLineage(prompt, relatedRobots);
+    
+    // End thinking phase timing (if extensive thinking is enabled)
+    thinkingTime = Date.now() - thinkingStartTime;
+    const generationStartTime = Date.now();
+    
+    // Generate image based on selected model
+    const result = await generateWithProvider(model, prompt, referenceImages, relatedRobots, extensiveThinking, onProgress, options);
+    
+    // Save the original, the gallery JPEG and the pregenerated renditions
+    onProgress('saving', 'Saving image...');
+    const filename = await saveGeneratedImage(result.imageBuffer, `${normalizedPrompt}_${Date.now()}`);
+    console.log(`Image saved as: ${filename}`);
+    
+    // Calculate generation time
+    generationTime = Date.now() - generationStartTime;
+    
+    // Add thinking time from buildGenerationPrompt if available
+    if (result.thinkingTime) {
+        thinkingTime += result.thinkingTime;
+        generationTime -= result.thinkingTime; // Subtract thinking time from generation time
+    }
+    
+    const timings = {
+        thinkingTime: extensiveThinking ? thinkingTime : 0,
+        generationTime: generationTime,
+        totalTime: Date.now() - overallStartTime
+    };
+    
+    // Persist everything that went into this image alongside it
+    await writeMetadata(filename, createGenerationRecord({
+        filename,
+        prompt,
+        model,
+        extensiveThinking,
+        relatedRobots,
+        referenceImages,
+        seed,
+        pinnedReferences: Boolean(selection.pinnedReferences),
+        referenceMode,
+        lineage,
+        generation: result,
+        timings
+    }));
 
-                res.json({
-                    success: true,
-                    filename: filename,
-                    research: `Using existing secondary reference robot for ${prompt}`,
-                    cached: true,
-                    source: 'secondary_reference',
-                    tokenUsage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, estimated_cost: 0 },
-                    cost: '$0.0000'
-                });
-                return;
-            }
-        } catch (error) {
-            console.log('Secondary Reference Images folder not found or inaccessible');
-        }
+    return {
+        success: true,
+        filename: filename,
+        research: result.research,
+        researchSource: result.researchSource,
+        tokenUsage: result.tokenUsage,
+        cost: result.cost,
+        costBreakdown: result.costBreakdown,
+        totalCost: result.totalCost,
+        similarity: result.similarity,
+        quality: result.quality,
+        styleSource: result.styleSource,
+        styleProfile: result.styleProfile,
+        stageModels: result.stageModels,
+        promptTemplates: result.promptTemplates,
+        seed,
+        referenceImages: referenceImages.map(file => path.relative(__dirname, file)),
+        lineage,
+        timings: timings
+    };
+}
+
+// Prompt templates for work on an existing image: the requested version, else the
+// one the image was made with while it is still there, else the default
+function templatesForImage(metadata, promptVersion = null) {
+    const recorded = metadata?.promptTemplates?.version;
+    return getPromptTemplates(promptVersion || (recorded && hasPromptVersion(recorded) ? recorded : null));
+}
+
+// Refine an existing generated image with the provider's edit capability and save
+// the result as a new version linked to its parent. parentMetadata may be null for
+// images saved before metadata existed. The edit prompt is the refine template of
+// promptTemplates.
+async function refineImage(parentFilename, parentMetadata, instruction, provider, promptTemplates = templatesForImage(parentMetadata)) {
+    await assertWithinBudget();
+    
+    return withSlot(provider.id, provider.maxConcurrency, async () => {
+        const concept = parentMetadata?.concept || parentFilename.replace(/_\d{13}\.(png|jpg|jpeg)$/i, '').replace(/_/g, ' ');
+        const editPrompt = renderPrompt(promptTemplates, 'refine', { concept, instruction });
+        console.log(`Refining ${parentFilename} with ${provider.name}: ${instruction}`);
         
-        // If no existing robot found, proceed with generation
-        console.log('No existing robot found, generating new one...');
+        // Edit the full-resolution original when one was kept
+        const parentBuffer = await fs.readFile(await sourceImagePath(parentFilename));
+        const result = await provider.edit(parentBuffer, editPrompt);
+        await recordCost({ model: provider.id, stage: 'edit', concept, cost: result.tokenUsage.estimated_cost, tokenUsage: result.tokenUsage });
         
-        // Track timing
-        const overallStartTime = Date.now();
-        let thinkingTime = 0;
-        let generationTime = 0;
+        // Keep the parent's name so versions of a robot sort together in the gallery
+        const baseName = path.basename(parentFilename, path.extname(parentFilename))
+            .replace(/_\d{13}$/, '')
+            .replace(/_refined$/, '');
+        const filename = await saveGeneratedImage(result.imageBuffer, `${baseName}_refined_${Date.now()}`);
+        console.log(`Refined image saved as: ${filename}`);
         
-        // Start thinking phase timing
-        const thinkingStartTime = Date.now();
+        const costBreakdown = {
+            styleAnalysis: 0,
+            research: 0,
+            image: result.tokenUsage.estimated_cost,
+            total: result.tokenUsage.estimated_cost,
+            estimated: Boolean(result.tokenUsage.estimated)
+        };
+        const version = (parentMetadata?.version || 1) + 1;
         
-        // Find related robots and load reference images
-        const relatedRobots = await findRelatedRobots(prompt);
+        await writeMetadata(filename, createGenerationRecord({
+            filename,
+            prompt: concept,
+            model: provider.id,
+            source: 'refined',
+            parent: parentFilename,
+            instruction,
+            version,
+            lineage: parentMetadata?.lineage || null,
+            generation: { ...result, finalPrompt: editPrompt, costBreakdown, promptTemplates: { version: promptTemplates.version, hash: promptTemplates.hash } }
+        }));
         
-        let referenceImages = [];
-        if (relatedRobots.length > 0) {
-            console.log(`Using ${relatedRobots.length} related robots as ONLY references (no random filling)`);
-            referenceImages = relatedRobots.map(r => r.path);
-        } else {
-            console.log(`⚠️ UNIQUE CONCEPT DETECTED: "${prompt}" - No related robots found`);
-            console.log('Loading random reference images for STYLE ONLY (not design copying)');
-            referenceImages = await loadReferenceImages(10);
-        }
-        
-        // End thinking phase timing (if extensive thinking is enabled)
-        thinkingTime = Date.now() - thinkingStartTime;
-        const generationStartTime = Date.now();
-        
-        // Generate image based on selected model
-        let result;
-        if (model === 'google') {
-            result = await generateWithGoogle(prompt, referenceImages, relatedRobots, extensiveThinking);
-        } else {
-            result = await generateWithOpenAI(prompt, referenceImages, relatedRobots, extensiveThinking);
-        }
-        
-        // Save the image as 128x128 JPG
-        const filename = await saveProcessedImage(result.imageBuffer, `${normalizedPrompt}_${Date.now()}`);
-        console.log(`Image saved as: ${filename}`);
-        
-        // Calculate generation time
-        generationTime = Date.now() - generationStartTime;
-        
-        // Add thinking time from buildGenerationPrompt if available
-        if (result.thinkingTime) {
-            thinkingTime += result.thinkingTime;
-            generationTime -= result.thinkingTime; // Subtract thinking time from generation time
-        }
-
-        res.json({
+        return {
             success: true,
-            filename: filename,
-            research: result.research,
+            filename,
+            parent: parentFilename,
+            version,
+            instruction,
             tokenUsage: result.tokenUsage,
             cost: result.cost,
-            timings: {
-                thinkingTime: extensiveThinking ? thinkingTime : 0,
-                generationTime: generationTime,
-                totalTime: Date.now() - overallStartTime
-            }
-        });
+            costBreakdown,
+            totalCost: formatCost(costBreakdown.total)
+        };
+    });
+}
 
+// Generate image endpoint
+app.post('/api/generate', async function(req, res) {
+    const validationError = validateGenerationRequest(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    
+    try {
+        res.json(await runGeneration(req.body));
     } catch (error) {
         console.error('Generation error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             error: error.message || 'Failed to generate image',
             details: error.response?.data || error
         });
     }
 });
 
-// Test model endpoint
-app.post('/api/test-model', async function(req, res) {
+// Start an asynchronous generation job; progress is available from /api/jobs/:id/events
+app.post('/api/jobs', function(req, res) {
+    const validationError = validateGenerationRequest(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    
+    const { prompt, model = DEFAULT_PROVIDER, models, extensiveThinking = true, force = false, removeBackground = false, similarityRetries = defaultSimilarityRetries(), qualityCheck = true, qualityRetries = defaultQualityRetries(), seed = null, references = null, uploads = null, referenceMode = 'auto', styleProfile = null, researchModel = null, visionModel = null, parentRobot = null, promptVersion = null } = req.body;
+    const params = { prompt, model, models, extensiveThinking, force, removeBackground, similarityRetries, qualityCheck, qualityRetries, seed, references, uploads, referenceMode, styleProfile, researchModel, visionModel, parentRobot, promptVersion };
+    const job = createJob('generate', params, report => runGeneration(params, report));
+    
+    console.log(`Created job ${job.id} for: ${prompt}`);
+    res.status(202).json(describeJob(job));
+});
+
+// List known jobs, newest first
+app.get('/api/jobs', function(req, res) {
+    res.json(listJobs().map(describeJob).reverse());
+});
+
+// Job status and result
+app.get('/api/jobs/:id', function(req, res) {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(describeJob(job));
+});
+
+// Server-sent events stream of job progress. Replays past events, then streams
+// new ones and finishes with a "done" event carrying the final job state.
+app.get('/api/jobs/:id/events', function(req, res) {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+    
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    
+    job.events.forEach(event => send('progress', event));
+    
+    if (isFinished(job)) {
+        send('done', describeJob(job));
+        return res.end();
+    }
+    
+    const unsubscribe = subscribeToJob(job, {
+        onProgress: event => send('progress', event),
+        onDone: () => {
+            send('done', describeJob(job));
+            unsubscribe();
+            res.end();
+        }
+    });
+    
+    req.on('close', unsubscribe);
+});
+
+// Start a batch generation job from an uploaded concept list (multipart field "file":
+// CSV, JSON or one concept per line) or a JSON body with a "concepts" array
+app.post('/api/batches', upload.single('file'), function(req, res) {
+    let concepts;
     try {
-        const { model = 'openai' } = req.body;
-        
-        console.log(`Testing ${model} model...`);
-        
-        if (model === 'google') {
-            // Test Google Gemini
-            const testPrompt = "Say 'Google Gemini is working!' and nothing else.";
-            
-            const model = googleAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
-            const result = await model.generateContent(testPrompt);
-            
-            const response = await result.response;
-            const text = response.text();
-            console.log('Google Gemini test response:', text);
-            
-            // Test image generation capability
-            const imageTestPrompt = "Create a simple test image of a small robot.";
-            const imageModel = googleAI.getGenerativeModel({ model: 'gemini-2.5-flash-image-preview' });
-            const imageResult = await imageModel.generateContent(imageTestPrompt);
-            
-            let hasImage = false;
-            const imageResponse = await imageResult.response;
-            for (const candidate of imageResponse.candidates || []) {
-                for (const part of candidate.content.parts || []) {
-                    if (part.inlineData) {
-                        hasImage = true;
-                        break;
-                    }
-                }
-            }
-            
-            if (!hasImage) {
-                throw new Error('Google Gemini image generation test failed - no image returned');
-            }
-            
-            res.json({
-                success: true,
-                message: 'Google Gemini (Nano Banana) is working! Image generation tested successfully.',
-                cost: '$0.0390' // Cost for one test image
-            });
+        if (req.file) {
+            concepts = parseConceptList(req.file.buffer.toString('utf8'), req.file.originalname);
+        } else if (Array.isArray(req.body.concepts)) {
+            concepts = parseConceptList(JSON.stringify(req.body.concepts), 'concepts.json');
+        } else if (typeof req.body.text === 'string') {
+            concepts = parseConceptList(req.body.text);
         } else {
-            // Test OpenAI
-            const response = await openai.chat.completions.create({
-                model: "gpt-4",
-                messages: [
-                    {
-                        role: "user",
-                        content: "Say 'OpenAI is working!' and nothing else."
-                    }
-                ],
-                max_tokens: 20
-            });
-            
-            console.log('OpenAI test response:', response.choices[0].message.content);
-            
-            res.json({
-                success: true,
-                message: 'OpenAI GPT-4o is working!',
-                cost: '$0.0001' // Approximate cost for test
-            });
+            return res.status(400).json({ error: 'Upload a concept list file or send a "concepts" array' });
         }
+    } catch (error) {
+        return res.status(400).json({ error: `Could not parse concept list: ${error.message}` });
+    }
+    
+    if (concepts.length === 0) {
+        return res.status(400).json({ error: 'No concepts found in the list' });
+    }
+    
+    // Multipart fields arrive as strings
+    const model = req.body.model || DEFAULT_PROVIDER;
+    const models = typeof req.body.models === 'string' ? req.body.models.split(',').filter(Boolean) : req.body.models;
+    const extensiveThinking = req.body.extensiveThinking === undefined || String(req.body.extensiveThinking) !== 'false';
+    const force = String(req.body.force) === 'true';
+    const removeBackground = String(req.body.removeBackground) === 'true';
+    const similarityRetries = req.body.similarityRetries === undefined || req.body.similarityRetries === '' ? defaultSimilarityRetries() : Number(req.body.similarityRetries);
+    const qualityCheck = req.body.qualityCheck === undefined || String(req.body.qualityCheck) !== 'false';
+    const qualityRetries = req.body.qualityRetries === undefined || req.body.qualityRetries === '' ? defaultQualityRetries() : Number(req.body.qualityRetries);
+    const seed = req.body.seed === undefined || req.body.seed === '' ? null : Number(req.body.seed);
+    const uploads = typeof req.body.uploads === 'string' ? req.body.uploads.split(',').filter(Boolean) : req.body.uploads;
+    const referenceMode = req.body.referenceMode || 'auto';
+    const styleProfile = req.body.styleProfile || null;
+    const researchModel = req.body.researchModel || null;
+    const visionModel = req.body.visionModel || null;
+    const parentRobot = req.body.parentRobot || null;
+    const promptVersion = req.body.promptVersion || null;
+    const budget = req.body.budget === undefined || req.body.budget === '' ? null : Number(req.body.budget);
+    
+    if (budget !== null && !(budget > 0)) {
+        return res.status(400).json({ error: 'Budget must be a positive number of dollars' });
+    }
+    
+    const validationError = validateGenerationRequest({ prompt: concepts[0], model, models, similarityRetries, qualityRetries, seed, uploads, referenceMode, styleProfile, researchModel, visionModel, parentRobot, promptVersion });
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    
+    const params = { model, models, extensiveThinking, force, removeBackground, similarityRetries, qualityCheck, qualityRetries, seed, uploads, referenceMode, styleProfile, researchModel, visionModel, parentRobot, promptVersion };
+    const job = createJob('batch', { ...params, budget, concepts }, report => runBatch({
+        concepts,
+        params,
+        budget,
+        generate: runGeneration,
+        report
+    }));
+    
+    console.log(`Created batch job ${job.id} for ${concepts.length} concepts`);
+    res.status(202).json(describeJob(job));
+});
+
+// Download a finished batch's report as JSON (default) or CSV
+app.get('/api/batches/:id/report', function(req, res) {
+    const job = getJob(req.params.id);
+    if (!job || job.type !== 'batch') {
+        return res.status(404).json({ error: 'Batch not found' });
+    }
+    if (!isFinished(job)) {
+        return res.status(409).json({ error: 'Batch is still running' });
+    }
+    if (!job.result) {
+        return res.status(500).json({ error: `Batch failed: ${job.error}` });
+    }
+    
+    const basename = `batch-report-${job.id.slice(0, 8)}`;
+    if (req.query.format === 'csv') {
+        res.attachment(`${basename}.csv`);
+        res.type('text/csv').send(formatReportCsv(job.result));
+    } else {
+        res.attachment(`${basename}.json`);
+        res.json({ id: job.id, ...job.result });
+    }
+});
+
+// Validate an arena request's configurations, returning an error message or null
+function validateArenaConfigurations(prompt, configurations, seed) {
+    if (!Array.isArray(configurations) || configurations.length < MIN_CONFIGURATIONS || configurations.length > MAX_CONFIGURATIONS) {
+        return `configurations must list ${MIN_CONFIGURATIONS} to ${MAX_CONFIGURATIONS} configurations`;
+    }
+    for (const [i, config] of configurations.entries()) {
+        if (!config || typeof config !== 'object') {
+            return `Configuration ${i + 1} must be an object`;
+        }
+        const { model = DEFAULT_PROVIDER, promptVersion, references, extensiveThinking } = config;
+        if (model === COMPARE_MODEL) {
+            return `Configuration ${i + 1}: each configuration uses one model`;
+        }
+        if (extensiveThinking !== undefined && typeof extensiveThinking !== 'boolean') {
+            return `Configuration ${i + 1}: extensiveThinking must be true or false`;
+        }
+        const error = validateGenerationRequest({ prompt, model, promptVersion, references, seed });
+        if (error) {
+            return `Configuration ${i + 1}: ${error}`;
+        }
+    }
+    return null;
+}
+
+// The arena's automatic references, picked once per match. Like a forced new version
+// it leaves the concept's own versions out, and with them earlier arena images.
+async function pickArenaReferences(prompt, seed) {
+    const { relatedRobots, referenceImages } = await selectReferences(prompt, seed, { excludeOwnVersions: true });
+    return { relatedRobots, referenceImages, lineage: await describeLineage(prompt, relatedRobots) };
+}
+
+// Generate an arena image without saving it: lib/arena.js keeps it out of Generated/
+// until the match is revealed. A configuration's own references replace the
+// automatic reference images, but the base robots found for the concept stay, as
+// with references pinned on /api/generate.
+async function generateArenaImage(prompt, seed, { model, promptVersion, references, extensiveThinking }, automatic) {
+    const { relatedRobots, lineage } = automatic;
+    const referenceImages = references ? await resolvePinnedReferences(references) : automatic.referenceImages;
+    const result = await generateWithProvider(model, prompt, referenceImages, relatedRobots, extensiveThinking, () => {}, {
+        similarityRetries: defaultSimilarityRetries(),
+        qualityRetries: defaultQualityRetries(),
+        seed,
+        promptVersion
+    });
+    const record = createGenerationRecord({
+        filename: null,
+        prompt,
+        model,
+        extensiveThinking,
+        relatedRobots,
+        referenceImages,
+        seed,
+        pinnedReferences: Boolean(references),
+        lineage,
+        generation: result
+    });
+    return { imageBuffer: result.imageBuffer, costBreakdown: result.costBreakdown, promptTemplates: result.promptTemplates, record };
+}
+
+// Save a revealed arena image to Generated/ as a new version of its concept
+async function publishArenaImage(imageBuffer, record) {
+    const normalizedPrompt = record.concept.toLowerCase().replace(/[^a-z0-9]/gi, '_');
+    const filename = await saveGeneratedImage(imageBuffer, `${normalizedPrompt}_${Date.now()}`);
+    await writeMetadata(filename, { ...record, filename });
+    return filename;
+}
+
+// Start an arena match: the concept is generated once per configuration
+// ({ model, promptVersion, references, extensiveThinking }) and the job's result is
+// the anonymised match to vote on
+app.post('/api/arena', function(req, res) {
+    const { prompt, configurations, seed = null } = req.body;
+    const validationError = validateArenaConfigurations(prompt, configurations, seed);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+    
+    const params = {
+        prompt,
+        seed: seed ?? createSeed(),
+        configurations: configurations.map(({ model = DEFAULT_PROVIDER, promptVersion = null, references = null, extensiveThinking = true }) => ({ model, promptVersion, references, extensiveThinking }))
+    };
+    const job = createJob('arena', params, report => runArenaMatch({
+        ...params,
+        pickReferences: () => pickArenaReferences(prompt, params.seed),
+        generate: (configuration, references) => generateArenaImage(prompt, params.seed, configuration, references),
+        report
+    }));
+    
+    console.log(`Created arena job ${job.id} for ${prompt} with ${configurations.length} configurations`);
+    res.status(202).json(describeJob(job));
+});
+
+// Arena matches, newest first
+app.get('/api/arena', async function(req, res) {
+    try {
+        res.json(await listMatches());
+    } catch (error) {
+        console.error('Error listing arena matches:', error);
+        res.status(500).json({ error: 'Failed to list arena matches' });
+    }
+});
+
+// Win rates from the arena votes, grouped by configuration (default) or one field of it
+app.get('/api/arena/stats', async function(req, res) {
+    try {
+        const by = req.query.by || 'configuration';
+        const groups = await arenaStats(by);
+        res.json({ by, groupings: Object.keys(GROUPINGS), groups });
+    } catch (error) {
+        console.error('Error computing arena stats:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Failed to compute arena stats' });
+    }
+});
+
+// One match; ?reveal=true shows the configurations before every pair has a vote and
+// publishes its images
+app.get('/api/arena/:id', async function(req, res) {
+    try {
+        if (req.query.reveal === 'true') {
+            return res.json(await publishMatch(req.params.id, publishArenaImage));
+        }
+        res.json(describeMatch(await findMatch(req.params.id)));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message || 'Failed to load arena match' });
+    }
+});
+
+// Record a pairwise vote: { winner: "A", loser: "B" }, with tie: true when neither is better
+app.post('/api/arena/:id/votes', async function(req, res) {
+    try {
+        const { winner, loser, tie = false } = req.body;
+        const match = await recordVote(req.params.id, { winner, loser, tie });
+        // The last vote reveals the match, so its images join the gallery
+        res.json(match.complete ? await publishMatch(req.params.id, publishArenaImage) : match);
+    } catch (error) {
+        console.error('Arena vote error:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Failed to record vote' });
+    }
+});
+
+// A match's image by slot, so the filename doesn't give the configuration away
+app.get('/api/arena/:id/images/:slot', async function(req, res) {
+    try {
+        const match = await findMatch(req.params.id);
+        const entry = match.entries.find(candidate => candidate.slot === req.params.slot && candidate.image);
+        if (!entry) {
+            return res.status(404).json({ error: `No image ${req.params.slot} in this match` });
+        }
+        res.set('Cache-Control', 'no-store');
+        res.sendFile(arenaImagePath(entry));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message || 'Failed to load arena image' });
+    }
+});
+
+// Cost ledger summary with per-day, per-model and per-stage breakdowns and budget status.
+// Optional ?from=YYYY-MM-DD&to=YYYY-MM-DD (UTC) limits the period.
+app.get('/api/costs', async function(req, res) {
+    try {
+        res.json(await summarizeCosts({ from: req.query.from, to: req.query.to }));
+    } catch (error) {
+        console.error('Cost summary error:', error);
+        res.status(500).json({ error: 'Failed to load costs' });
+    }
+});
+
+// Test model endpoint
+// Check that a provider can generate text and images, recording the cost of the test
+async function testModel(model) {
+    const provider = getProvider(model);
+    console.log(`Testing ${model} model...`);
+    
+    const result = await provider.test();
+    await recordCost({ model: provider.id, stage: 'test', cost: result.tokenUsage.estimated_cost, tokenUsage: result.tokenUsage });
+    
+    return {
+        success: true,
+        message: result.message,
+        cost: result.cost,
+        tokenUsage: result.tokenUsage
+    };
+}
+
+app.post('/api/test-model', async function(req, res) {
+    const { model = DEFAULT_PROVIDER } = req.body;
+    
+    if (!hasProvider(model)) {
+        return res.status(400).json({ error: `Unknown model: ${model}` });
+    }
+    
+    try {
+        res.json(await testModel(model));
     } catch (error) {
         console.error('Test error:', error);
         res.status(500).json({
-            error: `${req.body.model === 'google' ? 'Google Gemini' : 'OpenAI'} test failed: ${error.message}`,
+            error: `${getProvider(model).name} test failed: ${error.message}`,
             details: error.response?.data || error.message
         });
     }
 });
 
-// Gallery endpoint
-app.get('/api/gallery', async function(req, res) {
+// Saved style profiles, sorted by name
+app.get('/api/style-profiles', async function(req, res) {
+    try {
+        res.json(await listStyleProfiles());
+    } catch (error) {
+        console.error('Error reading style profiles:', error);
+        res.status(500).json({ error: 'Failed to read style profiles' });
+    }
+});
+
+// Create or replace a style profile with { description }
+app.put('/api/style-profiles/:name', async function(req, res) {
+    try {
+        res.json(await saveStyleProfile(req.params.name.trim(), req.body.description));
+    } catch (error) {
+        console.error('Error saving style profile:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Failed to save the style profile' });
+    }
+});
+
+app.delete('/api/style-profiles/:name', async function(req, res) {
+    try {
+        await deleteStyleProfile(req.params.name);
+        res.json({ deleted: req.params.name });
+    } catch (error) {
+        console.error('Error deleting style profile:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Failed to delete the style profile' });
+    }
+});
+
+// Forget all cached style analyses, e.g. after changing the analysis prompt
+app.delete('/api/style-cache', async function(req, res) {
+    try {
+        res.json({ cleared: await clearStyleCache() });
+    } catch (error) {
+        console.error('Error clearing the style cache:', error);
+        res.status(500).json({ error: 'Failed to clear the style cache' });
+    }
+});
+
+// Research a concept before generating it, so the notes can be reviewed and edited.
+// Body: { prompt, model, researchModel, refresh, promptVersion }. Stored notes are returned as they
+// are unless refresh is set; new research is billed and stored.
+app.post('/api/research', async function(req, res) {
+    const { model = DEFAULT_PROVIDER, researchModel = null, refresh = false, promptVersion = null } = req.body;
+    const prompt = typeof req.body.prompt === 'string' ? req.body.prompt.trim() : '';
+    
+    if (!prompt) {
+        return res.status(400).json({ error: 'prompt is required' });
+    }
+    if (!hasProvider(model)) {
+        return res.status(400).json({ error: `Unknown model: ${model}` });
+    }
+    if (researchModel !== null && !isStageModel(researchModel)) {
+        return res.status(400).json({ error: `Unknown research model: ${researchModel}` });
+    }
+    if (typeof refresh !== 'boolean') {
+        return res.status(400).json({ error: 'refresh must be true or false' });
+    }
+    if (promptVersion !== null && !hasPromptVersion(promptVersion)) {
+        return res.status(400).json({ error: `Unknown prompt template version: ${promptVersion}` });
+    }
+    
+    try {
+        // Research runs on the model a generation with these options would use
+        const { research: stageModel } = resolveStageModels(model, { researchModel });
+        const costs = { research: 0, estimated: false };
+        const promptTemplates = getPromptTemplates(promptVersion);
+        if (refresh || !await storedResearch(prompt, stageModel, promptTemplates)) {
+            await assertWithinBudget();
+        }
+        const { text, source } = await researchConcept(prompt, stageModel, costs, { refresh, promptTemplates });
+        res.json({ concept: prompt, text, source, model: stageModel, cost: formatCost(costs.research) });
+    } catch (error) {
+        console.error('Research error:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Research failed' });
+    }
+});
+
+// The research prompt a concept's notes are kept under for a prompt template
+// version (the default version when none is given)
+function researchNoteVersion(promptVersion) {
+    const promptTemplates = getPromptTemplates(promptVersion || null);
+    return { promptHash: promptTemplates.templateHashes.research, promptVersion: promptTemplates.version };
+}
+
+// The stored research notes for a concept (aliases share notes) and
+// ?promptVersion=, by default the default version
+app.get('/api/research/:concept', async function(req, res) {
+    try {
+        const { promptHash } = researchNoteVersion(req.query.promptVersion);
+        const note = await findResearchNote(req.params.concept, { promptHash, offline: true });
+        if (!note) {
+            return res.status(404).json({ error: `No research notes for ${req.params.concept}` });
+        }
+        res.json(note);
+    } catch (error) {
+        console.error('Error reading research notes:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Failed to read research notes' });
+    }
+});
+
+// Replace a concept's research notes with { text, promptVersion }; later generations
+// of the concept with that template version use them
+app.put('/api/research/:concept', async function(req, res) {
+    try {
+        res.json(await saveResearchNote(req.params.concept, req.body.text, { ...researchNoteVersion(req.body.promptVersion), edited: true }));
+    } catch (error) {
+        console.error('Error saving research notes:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Failed to save research notes' });
+    }
+});
+
+// Forget a concept's research notes for ?promptVersion= so the next generation
+// researches it again
+app.delete('/api/research/:concept', async function(req, res) {
+    try {
+        if (!await deleteResearchNote(req.params.concept, researchNoteVersion(req.query.promptVersion).promptHash)) {
+            return res.status(404).json({ error: `No research notes for ${req.params.concept}` });
+        }
+        res.json({ deleted: req.params.concept });
+    } catch (error) {
+        console.error('Error deleting research notes:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Failed to delete research notes' });
+    }
+});
+
+// Upload one-off reference images (multipart field "images"): sketches, logos or
+// mascots to add to a generation's references by listing their ids under `uploads`
+app.post('/api/uploads', imageUpload.array('images', MAX_UPLOADS), async function(req, res) {
+    if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ error: 'Upload one or more images in the "images" field' });
+    }
+    
+    try {
+        const uploads = [];
+        for (const file of req.files) {
+            uploads.push(await saveUpload(file.buffer, file.originalname));
+        }
+        res.status(201).json({ uploads });
+    } catch (error) {
+        console.error('Upload error:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Failed to save the upload' });
+    }
+});
+
+// Explain which base robots a prompt would use and why, without generating anything
+app.get('/api/related', async function(req, res) {
+    const prompt = typeof req.query.prompt === 'string' ? req.query.prompt.trim() : '';
+    if (!prompt) {
+        return res.status(400).json({ error: 'Prompt is required' });
+    }
+    
     try {
-        const dir = path.join(__dirname, 'Generated');
         await ensureGeneratedDir();
-        
-        const files = await fs.readdir(dir);
-        const images = files
-            .filter(file => /\.(png|jpg|jpeg)$/i.test(file))
-            .map(filename => ({
-                filename: filename,
-                name: filename.replace(/_\d{13}\.(png|jpg|jpeg)$/i, '').replace(/_/g, ' ')
+        const relatedRobots = await findRelatedRobots(prompt);
+        res.json({
+            prompt,
+            // Without base robots the generator falls back to seeded references for style only
+            uniqueConcept: relatedRobots.length === 0,
+            relatedRobots: relatedRobots.map(robot => ({
+                name: robot.name,
+                source: robot.source,
+                path: path.relative(__dirname, robot.path),
+                reason: robot.reason,
+                matched: robot.matched,
+                via: robot.via
             }))
-            .reverse(); // Show newest first
-        
-        res.json(images);
+        });
+    } catch (error) {
+        console.error('Related robots error:', error);
+        res.status(500).json({ error: 'Failed to find related robots' });
+    }
+});
+
+// Providers endpoint - drives the model dropdown and comparison mode in the UI
+app.get('/api/providers', function(req, res) {
+    res.json({
+        defaultModel: DEFAULT_PROVIDER,
+        compareModel: COMPARE_MODEL,
+        stages: describeStageConfig(),
+        providers: listProviders().map(describeProvider)
+    });
+});
+
+// Loaded prompt template versions; see lib/prompts.js
+app.get('/api/prompt-templates', function(req, res) {
+    res.json(listPromptTemplates());
+});
+
+// Gallery endpoint
+// Every generated image, newest first, with its recorded metadata
+async function listGallery() {
+    const dir = path.join(__dirname, 'Generated');
+    await ensureGeneratedDir();
+    
+    const files = await fs.readdir(dir);
+    const canonicalFiles = new Set(Object.values(await readCanonicalVersions()));
+    const images = await Promise.all(files
+        .filter(file => /\.(png|jpg|jpeg)$/i.test(file))
+        .map(async filename => ({
+            filename: filename,
+            name: filename.replace(/_\d{13}\.(png|jpg|jpeg)$/i, '').replace(/_/g, ' '),
+            canonical: canonicalFiles.has(filename),
+            metadata: await readMetadata(filename)
+        })));
+    images.reverse(); // Show newest first
+    return images;
+}
+
+app.get('/api/gallery', async function(req, res) {
+    try {
+        res.json(await listGallery());
     } catch (error) {
         console.error('Gallery error:', error);
         res.status(500).json({ error: 'Failed to load gallery' });
     }
 });
 
+// Metadata for a single generated image
+app.get('/api/gallery/:filename', async function(req, res) {
+    try {
+        const filename = path.basename(req.params.filename);
+        const metadata = await readMetadata(filename);
+        
+        if (!metadata) {
+            return res.status(404).json({ error: `No metadata recorded for ${filename}` });
+        }
+        
+        res.json(metadata);
+    } catch (error) {
+        console.error('Metadata error:', error);
+        res.status(500).json({ error: 'Failed to load metadata' });
+    }
+});
+
+// Send a gallery management error with its status (404 missing, 409 name taken, 400 bad input)
+function sendGalleryError(res, error, action) {
+    console.error(`${action} error:`, error);
+    res.status(error.status || 500).json({ error: error.message || `${action} failed` });
+}
+
+// Delete a generated image and its metadata
+app.delete('/api/images/:filename', async function(req, res) {
+    try {
+        res.json({ success: true, ...await deleteImage(req.params.filename) });
+    } catch (error) {
+        sendGalleryError(res, error, 'Delete');
+    }
+});
+
+// Re-label a generated image's concept: { concept }. The file is renamed to match.
+app.patch('/api/images/:filename', async function(req, res) {
+    const { concept } = req.body;
+    if (typeof concept !== 'string' || !concept.trim()) {
+        return res.status(400).json({ error: 'Concept is required' });
+    }
+    
+    try {
+        res.json({ success: true, ...await renameImage(req.params.filename, concept.trim()) });
+    } catch (error) {
+        sendGalleryError(res, error, 'Rename');
+    }
+});
+
+// Move a generated image into the reference library:
+// { tier: "reference" | "secondary_reference", name } (name defaults to the concept)
+app.post('/api/images/:filename/promote', async function(req, res) {
+    const { tier = 'reference', name } = req.body;
+    try {
+        res.json({ success: true, ...await promoteImage(req.params.filename, tier, name) });
+    } catch (error) {
+        sendGalleryError(res, error, 'Promote');
+    }
+});
+
+// Save a transparent PNG/WebP copy of an existing generated image
+app.post('/api/images/:filename/transparent', async function(req, res) {
+    const filename = path.basename(req.params.filename);
+    try {
+        await fs.access(path.join(__dirname, 'Generated', filename));
+    } catch {
+        return res.status(404).json({ error: `Image not found: ${filename}` });
+    }
+    
+    try {
+        res.json({ success: true, filename, transparent: await createTransparentVariant(filename) });
+    } catch (error) {
+        console.error('Background removal error:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Failed to remove background' });
+    }
+});
+
+// Run the quality checks on an existing generated image and store the verdict in its metadata
+app.post('/api/images/:filename/check', async function(req, res) {
+    const filename = path.basename(req.params.filename);
+    try {
+        await fs.access(path.join(__dirname, 'Generated', filename));
+    } catch {
+        return res.status(404).json({ error: `Image not found: ${filename}` });
+    }
+    
+    try {
+        const metadata = await readMetadata(filename);
+        const imageModel = metadata?.model && hasProvider(metadata.model) ? getProvider(metadata.model) : null;
+        const { vision } = resolveStageModels(imageModel ? imageModel.id : DEFAULT_PROVIDER);
+        // The text check is a paid vision call (billed to the ledger as quality_check)
+        if (!getProvider(vision).offline) {
+            await assertWithinBudget();
+        }
+        const costs = { quality_check: 0, estimated: false };
+        const quality = await checkImageQuality(await fs.readFile(await sourceImagePath(filename)), vision, metadata?.concept || filename, costs, templatesForImage(metadata));
+        
+        if (metadata) {
+            await writeMetadata(filename, { ...metadata, quality });
+        }
+        res.json({ success: true, filename, quality, cost: formatCost(costs.quality_check) });
+    } catch (error) {
+        console.error('Quality check error:', error);
+        res.status(error.status || 500).json({ error: error.message || 'Failed to check image' });
+    }
+});
+
+// Browse the library index: every image in Generated/, both reference tiers and
+// Png/, with tags and duplicates resolved. ?tier= and ?tag= narrow the list.
+app.get('/api/library', async function(req, res) {
+    const { tier, tag } = req.query;
+    if (tier !== undefined && !TIER_NAMES.includes(tier)) {
+        return res.status(400).json({ error: `tier must be one of ${TIER_NAMES.join(', ')}` });
+    }
+    
+    try {
+        const entries = await listLibrary();
+        const tiers = TIERS.map(info => ({
+            tier: info.tier,
+            folder: info.folder,
+            count: entries.filter(entry => entry.tier === info.tier).length
+        }));
+        const images = entries
+            .filter(entry => (!tier || entry.tier === tier) && (!tag || entry.tags.includes(tag)))
+            .map(entry => ({
+                name: entry.name,
+                tier: entry.tier,
+                filename: entry.file,
+                path: entry.relativePath,
+                url: entry.url,
+                tags: entry.tags,
+                canonical: entry.canonical,
+                duplicateOf: entry.duplicateOf,
+                duplicates: entry.duplicates
+            }));
+        res.json({ tiers, images });
+    } catch (error) {
+        console.error('Library error:', error);
+        res.status(500).json({ error: 'Failed to load the library' });
+    }
+});
+
+// The library as a family tree: every robot under the robot it was derived from
+// (recorded lineage) or its concept family
+app.get('/api/families', async function(req, res) {
+    try {
+        res.json(await buildFamilyTree());
+    } catch (error) {
+        console.error('Family tree error:', error);
+        res.status(500).json({ error: 'Failed to build the family tree' });
+    }
+});
+
+// Images in the reference library
+app.get('/api/references', async function(req, res) {
+    try {
+        res.json(await listReferences());
+    } catch (error) {
+        console.error('References error:', error);
+        res.status(500).json({ error: 'Failed to load references' });
+    }
+});
+
+// Move a reference image back into Generated/
+app.post('/api/references/:tier/:filename/demote', async function(req, res) {
+    try {
+        res.json({ success: true, ...await demoteImage(req.params.tier, req.params.filename) });
+    } catch (error) {
+        sendGalleryError(res, error, 'Demote');
+    }
+});
+
+// All versions of a concept (generations, comparison images and refinements), oldest first
+app.get('/api/concepts/:concept/versions', async function(req, res) {
+    try {
+        await ensureGeneratedDir();
+        const concept = req.params.concept;
+        res.json({
+            concept,
+            canonical: await getCanonicalVersion(concept),
+            versions: await listVersions(concept)
+        });
+    } catch (error) {
+        console.error('Versions error:', error);
+        res.status(500).json({ error: 'Failed to load versions' });
+    }
+});
+
+// Choose the canonical version of a concept: { filename }, or { filename: null } to
+// go back to the oldest version. Cache lookups and related-robot matching use it.
+app.put('/api/concepts/:concept/canonical', async function(req, res) {
+    const concept = req.params.concept;
+    const { filename = null } = req.body;
+    
+    try {
+        if (filename !== null) {
+            const versions = await listVersions(concept);
+            if (!versions.some(version => version.filename === filename)) {
+                return res.status(400).json({ error: `${filename} is not a version of "${concept}"` });
+            }
+        }
+        
+        await setCanonicalVersion(concept, filename);
+        console.log(filename ? `Canonical version of "${concept}" set to ${filename}` : `Canonical version of "${concept}" cleared`);
+        res.json({
+            concept,
+            canonical: filename,
+            versions: await listVersions(concept)
+        });
+    } catch (error) {
+        console.error('Canonical version error:', error);
+        res.status(500).json({ error: 'Failed to set canonical version' });
+    }
+});
+
+// Refine an existing image: { instruction, model, promptVersion }. The model defaults
+// to the one that generated the image, falling back to the default provider, and the
+// prompt templates to the image's version.
+app.post('/api/images/:filename/refine', async function(req, res) {
+    const filename = path.basename(req.params.filename);
+    const { instruction, promptVersion = null } = req.body;
+    
+    if (typeof instruction !== 'string' || !instruction.trim()) {
+        return res.status(400).json({ error: 'Instruction is required' });
+    }
+    if (promptVersion !== null && !hasPromptVersion(promptVersion)) {
+        return res.status(400).json({ error: `Unknown prompt template version: ${promptVersion}` });
+    }
+    
+    try {
+        await fs.access(path.join(__dirname, 'Generated', filename));
+    } catch {
+        return res.status(404).json({ error: `Image not found: ${filename}` });
+    }
+    
+    const parentMetadata = await readMetadata(filename);
+    const parentModel = parentMetadata?.model && hasProvider(parentMetadata.model) ? parentMetadata.model : DEFAULT_PROVIDER;
+    const model = req.body.model || parentModel;
+    
+    if (!hasProvider(model)) {
+        return res.status(400).json({ error: `Unknown model: ${model}` });
+    }
+    
+    const provider = getProvider(model);
+    if (typeof provider.edit !== 'function') {
+        return res.status(400).json({ error: `${provider.name} does not support image editing` });
+    }
+    
+    try {
+        res.json(await refineImage(filename, parentMetadata, instruction.trim(), provider, templatesForImage(parentMetadata, promptVersion)));
+    } catch (error) {
+        console.error('Refine error:', error);
+        res.status(error.status || 500).json({
+            error: error.message || 'Failed to refine image',
+            details: error.response?.data || error
+        });
+    }
+});
+
 // Start server
 async function startServer() {
     await ensureGeneratedDir();
+    await refreshLibrary();
+    watchLibrary();
     
     app.listen(PORT, () => {
         console.log(`
@@ -1045,8 +1824,7 @@ async function startServer() {
 ║     http://localhost:${PORT}                     ║
 ║                                              ║
 ║     Models available:                        ║
-║     - OpenAI GPT-4o (Image Generation)       ║
-║     - Google Gemini 2.5 Flash Image          ║
+${listProviders().map(p => `║     - ${p.name.padEnd(39)}║`).join('\n')}
 ║                                              ║
 ║     Press Ctrl+C to stop                     ║
 ╚══════════════════════════════════════════════╝
@@ -1054,4 +1832,18 @@ async function startServer() {
     });
 }
 
-startServer().catch(console.error);
\ No newline at end of file
+// Started by `npm start`; bin/robot-gen.js requires this file for the functions below
+// without listening
+if (require.main === module) {
+    startServer().catch(console.error);
+}
+
+module.exports = {
+    app,
+    startServer,
+    ensureGeneratedDir,
+    validateGenerationRequest,
+    runGeneration,
+    testModel,
+    listGallery
+};
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs').promises;
+const { createGenerationRecord, writeMetadata } = require('../lib/metadata');
+const { conceptKey } = require('../lib/versions');
+const { refreshLibrary, listLibrary, libraryRobots } = require('../lib/library');
+const { matchRelatedRobots } = require('../lib/concepts');
+
+const GENERATED_DIR = path.join(__dirname, '..', 'Generated');
+
+// C++ and C# are saved as c___….jpg and c__….jpg, whose stems lose the punctuation
+// that tells them apart from C (Reference Images/C.jpeg)
+test('C, C++ and C# stay separate library robots', async (t) => {
+    const createdDir = await fs.mkdir(GENERATED_DIR, { recursive: true });
+    const timestamp = Date.now();
+    const files = [];
+    t.after(async () => {
+        for (const file of files) {
+            await fs.rm(path.join(GENERATED_DIR, file), { force: true });
+            await fs.rm(path.join(GENERATED_DIR, `${file}.json`), { force: true });
+        }
+        if (createdDir) {
+            await fs.rm(GENERATED_DIR, { recursive: true, force: true });
+        }
+    });
+
+    for (const [i, concept] of ['C++', 'C#'].entries()) {
+        const filename = `${conceptKey(concept)}_${timestamp + i}.jpg`;
+        await fs.copyFile(path.join(__dirname, '..', 'Reference Images', 'C.jpeg'), path.join(GENERATED_DIR, filename));
+        await writeMetadata(filename, createGenerationRecord({ filename, prompt: concept, model: 'mock' }));
+        files.push(filename);
+    }
+    await refreshLibrary();
+
+    const library = await listLibrary();
+    const entry = file => library.find(candidate => candidate.tier === 'generated' && candidate.file === file);
+    assert.strictEqual(entry(files[0]).name, 'C++');
+    assert.strictEqual(entry(files[1]).name, 'C#');
+    const reference = library.find(candidate => candidate.relativePath === path.join('Reference Images', 'C.jpeg'));
+    assert.strictEqual(reference.duplicateOf, null);
+    assert.strictEqual(entry(files[0]).duplicateOf, null);
+    assert.strictEqual(entry(files[1]).duplicateOf, null);
+
+    const robots = await libraryRobots();
+    const [exact] = matchRelatedRobots('C', robots);
+    assert.strictEqual(exact.reason, 'exact');
+    assert.strictEqual(exact.relativePath, path.join('Reference Images', 'C.jpeg'));
+    assert.strictEqual(matchRelatedRobots('C++', robots)[0].file, files[0]);
+    assert.strictEqual(matchRelatedRobots('C#', robots)[0].file, files[1]);
+});